@@ -0,0 +1,226 @@
+/**
+ * Glossary popovers for detail pages
+ * Finds Terms-tab words (tondo, spolia, pietra serena...) in description, bio
+ * and summary text and turns the first use of each into a button that opens
+ * its definition, with a link to the term on index.html?tab=terms.
+ * Definitions come from the `term` entries of search-index.json.
+ */
+(function() {
+  'use strict';
+
+  // Where glossary terms are looked for, in page order
+  const TEXT_SELECTOR = '.description, .bio, .summary';
+  // Text inside these is left alone
+  const SKIP_SELECTOR = 'a, button, mark, code, h1, h2, h3, h4, h5, h6, .glossary-term';
+  // Longest definition shown in full; longer ones are cut at a word break
+  const MAX_DEFINITION_LENGTH = 240;
+  // Grace period for moving the pointer from a term onto its popover
+  const HIDE_DELAY = 200;
+  // Terms that in running text are mostly part of a name ("Francesco Cozza",
+  // "Basilica di San Marco", "Curia Julia") or plain prose, so never linked
+  const UNLINKED_TERMS = new Set(['Francesco', 'Basilica', 'Curia']);
+
+  const containers = Array.from(document.querySelectorAll(TEXT_SELECTOR));
+  if (containers.length === 0) return;
+
+  // Path from this page to the site root, for search-index.json and term links
+  const siteRoot = new URL('./', document.currentScript.src).href;
+
+  let openTerm = null;
+  let hideTimer = null;
+  let popoverCount = 0;
+
+  /**
+   * Names a term can appear under in running text. A parenthetical is an
+   * alias when it reads as a name ("Appian Way", "CIL") rather than a
+   * gloss or date ("Roman wall painting", "410").
+   */
+  function termNames(title) {
+    const match = title.match(/^(.*?)\s*\(([^)]+)\)$/);
+    if (!match) return [title];
+    const names = [match[1]];
+    const words = match[2].split(/\s+/);
+    if (words.every(word => /^\p{Lu}/u.test(word))) names.push(match[2]);
+    return names;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * One regex for all terms, with a capture group per term so a match can be
+   * traced back to its entry. Longer names go first so "Second Style" wins
+   * over a shorter term at the same position. A plural -s/-es is allowed.
+   */
+  function buildMatcher(terms) {
+    const sorted = terms.slice().sort((a, b) => b.longest - a.longest);
+    const groups = sorted.map(term => '(' + term.names.map(escapeRegExp).join('|') + ')');
+    return {
+      terms: sorted,
+      pattern: new RegExp('(?<![\\p{L}\\p{N}])(?:' + groups.join('|') + ')(?:e?s)?(?![\\p{L}\\p{N}])', 'giu')
+    };
+  }
+
+  function shortDefinition(text) {
+    const definition = text.replace(/\s+/g, ' ').trim();
+    if (definition.length <= MAX_DEFINITION_LENGTH) return definition;
+    const cut = definition.slice(0, MAX_DEFINITION_LENGTH);
+    return cut.slice(0, cut.lastIndexOf(' ')).replace(/[,;:.]$/, '') + '…';
+  }
+
+  /**
+   * Build the inline term button and its (hidden) popover
+   */
+  function createTermElement(text, term) {
+    const id = 'glossary-popover-' + (++popoverCount);
+    const wrapper = document.createElement('span');
+    wrapper.className = 'glossary-term';
+
+    const trigger = document.createElement('button');
+    trigger.type = 'button';
+    trigger.className = 'glossary-trigger';
+    trigger.textContent = text;
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.setAttribute('aria-controls', id);
+
+    const popover = document.createElement('span');
+    popover.className = 'glossary-popover';
+    popover.id = id;
+    popover.hidden = true;
+
+    const title = document.createElement('strong');
+    title.className = 'glossary-popover-title';
+    title.textContent = term.entry.title;
+
+    const definition = document.createElement('span');
+    definition.className = 'glossary-popover-text';
+    definition.textContent = shortDefinition(term.entry.content);
+
+    const link = document.createElement('a');
+    link.className = 'glossary-popover-link';
+    link.href = siteRoot + term.entry.url;
+    link.textContent = 'Open in Terms →';
+
+    popover.append(title, definition, link);
+    wrapper.append(trigger, popover);
+    return wrapper;
+  }
+
+  /**
+   * Replace the first use of each not-yet-used term in a text node
+   */
+  function linkTextNode(node, matcher, used) {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    let match;
+
+    matcher.pattern.lastIndex = 0;
+    while ((match = matcher.pattern.exec(text)) !== null) {
+      const index = match.slice(1).findIndex(group => group !== undefined);
+      const term = matcher.terms[index];
+      if (used.has(term)) continue;
+      used.add(term);
+
+      fragment.append(text.slice(last, match.index));
+      fragment.append(createTermElement(match[0], term));
+      last = match.index + match[0].length;
+    }
+
+    if (last === 0) return;
+    fragment.append(text.slice(last));
+    node.replaceWith(fragment);
+  }
+
+  function linkTerms(entries) {
+    const terms = entries.filter(entry => !UNLINKED_TERMS.has(entry.title)).map(entry => {
+      const names = termNames(entry.title);
+      return { entry: entry, names: names, longest: Math.max(...names.map(name => name.length)) };
+    });
+    if (terms.length === 0) return;
+
+    const matcher = buildMatcher(terms);
+    const used = new Set();
+
+    containers.forEach(container => {
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest(SKIP_SELECTOR)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      });
+      // Collect first: replacing nodes while walking would derail the walker
+      const nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+      nodes.forEach(node => linkTextNode(node, matcher, used));
+    });
+  }
+
+  function showPopover(wrapper) {
+    clearTimeout(hideTimer);
+    hideTimer = null;
+    if (openTerm && openTerm !== wrapper) hidePopover(openTerm);
+    const trigger = wrapper.querySelector('.glossary-trigger');
+    const popover = wrapper.querySelector('.glossary-popover');
+    popover.hidden = false;
+    trigger.setAttribute('aria-expanded', 'true');
+    openTerm = wrapper;
+
+    // Open towards the left when there is no room on the right
+    popover.classList.remove('glossary-popover--end');
+    if (popover.getBoundingClientRect().right > document.documentElement.clientWidth) {
+      popover.classList.add('glossary-popover--end');
+    }
+  }
+
+  function hidePopover(wrapper) {
+    wrapper.querySelector('.glossary-popover').hidden = true;
+    wrapper.querySelector('.glossary-trigger').setAttribute('aria-expanded', 'false');
+    wrapper.classList.remove('glossary-term--pinned');
+    if (openTerm === wrapper) openTerm = null;
+  }
+
+  // Hover previews a definition; a click (or Enter/Space) pins it open
+  document.addEventListener('mouseover', e => {
+    const wrapper = e.target.closest && e.target.closest('.glossary-term');
+    if (wrapper) {
+      showPopover(wrapper);
+    } else if (openTerm && !openTerm.classList.contains('glossary-term--pinned') && !hideTimer) {
+      const leaving = openTerm;
+      hideTimer = setTimeout(() => {
+        hideTimer = null;
+        hidePopover(leaving);
+      }, HIDE_DELAY);
+    }
+  });
+
+  document.addEventListener('click', e => {
+    const trigger = e.target.closest('.glossary-trigger');
+    if (trigger) {
+      const wrapper = trigger.parentElement;
+      if (wrapper.classList.contains('glossary-term--pinned')) {
+        hidePopover(wrapper);
+      } else {
+        showPopover(wrapper);
+        wrapper.classList.add('glossary-term--pinned');
+      }
+    } else if (openTerm && !openTerm.contains(e.target)) {
+      hidePopover(openTerm);
+    }
+  });
+
+  // Escape closes the popover, unless the lightbox or search overlay has
+  // already used it; focus only goes back to the term if it was there
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Escape' || !openTerm || e.defaultPrevented) return;
+    const wrapper = openTerm;
+    const hadFocus = wrapper.contains(document.activeElement);
+    hidePopover(wrapper);
+    if (hadFocus) wrapper.querySelector('.glossary-trigger').focus();
+  });
+
+  fetch(siteRoot + 'search-index.json')
+    .then(response => response.json())
+    .then(index => linkTerms(index.filter(entry => entry.type === 'term')))
+    .catch(err => console.error('Failed to load glossary terms:', err));
+})();
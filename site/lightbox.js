@@ -0,0 +1,360 @@
+/**
+ * Image lightbox for artwork pages and artwork cards
+ * Opens any image in .artwork-images or .artwork-card in a full-screen viewer
+ * with pan and zoom (wheel, pinch, double-click, +/-), keyboard and swipe
+ * navigation between the page's images, a title/artist caption, and a link
+ * to the image's attribution on credits.html or Wikimedia Commons.
+ */
+(function() {
+  'use strict';
+
+  const MIN_SCALE = 1;
+  const MAX_SCALE = 6;
+  const ZOOM_STEP = 1.5;
+  const DOUBLE_CLICK_SCALE = 2.5;
+  // Horizontal travel (px) that counts as a swipe when not zoomed
+  const SWIPE_DISTANCE = 50;
+
+  const IMAGE_SELECTOR = '.artwork-images img, .artwork-card img';
+  // Cards hidden by sort.js: filtered out, in a collapsed group, or in a
+  // grid swapped out for its timeline
+  const HIDDEN_SELECTOR = '.filter-hidden, .group-collapsed, [hidden]';
+
+  const triggers = Array.from(document.querySelectorAll(IMAGE_SELECTOR));
+  if (triggers.length === 0) return;
+
+  // Path from this page to the site root, for credits.html
+  const siteRoot = new URL('./', document.currentScript.src).href;
+
+  let lightbox = null;
+  let stage = null;
+  let picture = null;
+  // Images the open lightbox steps through, and the one showing
+  let images = [];
+  let currentIndex = 0;
+  let returnFocus = null;
+
+  // Zoom and pan state of the open image
+  let scale = 1;
+  let offsetX = 0;
+  let offsetY = 0;
+
+  // Active pointers for drag, swipe and pinch
+  const pointers = new Map();
+  let gesture = null;
+
+  /**
+   * Caption for an image: the card's or page's title and artist
+   */
+  function getCaption(img) {
+    const card = img.closest('.artwork-card');
+    if (card) {
+      const link = card.querySelector('h3 a');
+      // Cards on an artist page leave out the artist; it is the page's subject
+      const artistPage = document.querySelector('.artist-page h1');
+      return {
+        title: card.dataset.title || (link ? link.textContent.trim() : ''),
+        artist: card.dataset.artist || (artistPage ? artistPage.textContent.trim() : ''),
+        url: link ? link.getAttribute('href') : ''
+      };
+    }
+
+    const heading = document.querySelector('.artwork-page h1');
+    const artistItem = Array.from(document.querySelectorAll('.artwork-metadata li'))
+      .find(li => /^Artist:/.test(li.textContent.trim()));
+    // Alt text is only worth showing when it names the image ("img2" does not)
+    const detail = /^img\d*$/i.test(img.alt) ? '' : img.alt;
+    const title = heading ? heading.textContent.trim() : '';
+
+    return {
+      title: detail && detail !== title ? title + ': ' + detail : title,
+      artist: artistItem ? artistItem.textContent.replace(/^Artist:\s*/, '').trim() : '',
+      url: ''
+    };
+  }
+
+  /**
+   * Attribution for an image: its row on credits.html (see the row ids there)
+   * for local files, or the Wikimedia Commons file page, which carries the
+   * author and licence, for hotlinked ones
+   */
+  function getCredit(img) {
+    const src = new URL(img.getAttribute('src'), window.location.href);
+    if (src.href.startsWith(siteRoot)) {
+      const file = decodeURIComponent(src.pathname.split('/').pop());
+      return { url: siteRoot + 'credits.html#credit-' + encodeURIComponent(file), label: 'Image credit' };
+    }
+    // upload.wikimedia.org/wikipedia/commons/[thumb/]a/ab/<file>[/...]
+    const commons = src.hostname === 'upload.wikimedia.org' &&
+      src.pathname.match(/^\/wikipedia\/commons\/(?:thumb\/)?[0-9a-f]\/[0-9a-f]{2}\/([^/]+)/);
+    if (commons) {
+      return { url: 'https://commons.wikimedia.org/wiki/File:' + commons[1], label: 'Image source' };
+    }
+    return { url: src.href, label: 'Image source' };
+  }
+
+  /**
+   * Build the lightbox dialog on first use
+   */
+  function createLightbox() {
+    lightbox = document.createElement('div');
+    lightbox.className = 'lightbox';
+    lightbox.hidden = true;
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.setAttribute('aria-label', 'Image viewer');
+    lightbox.innerHTML = `
+      <div class="lightbox-stage">
+        <img class="lightbox-image" alt="" draggable="false">
+      </div>
+      <div class="lightbox-toolbar">
+        <button type="button" class="lightbox-btn" data-action="zoom-out" aria-label="Zoom out">&minus;</button>
+        <button type="button" class="lightbox-btn" data-action="reset" aria-label="Fit to screen">1:1</button>
+        <button type="button" class="lightbox-btn" data-action="zoom-in" aria-label="Zoom in">+</button>
+        <button type="button" class="lightbox-btn lightbox-close" data-action="close" aria-label="Close">&times;</button>
+      </div>
+      <button type="button" class="lightbox-nav lightbox-prev" data-action="prev" aria-label="Previous image">&lsaquo;</button>
+      <button type="button" class="lightbox-nav lightbox-next" data-action="next" aria-label="Next image">&rsaquo;</button>
+      <div class="lightbox-caption">
+        <p class="lightbox-title"></p>
+        <p class="lightbox-meta">
+          <span class="lightbox-artist"></span>
+          <span class="lightbox-counter"></span>
+          <a class="lightbox-credit">Image credit</a>
+        </p>
+      </div>
+    `;
+    document.body.appendChild(lightbox);
+
+    stage = lightbox.querySelector('.lightbox-stage');
+    picture = lightbox.querySelector('.lightbox-image');
+
+    lightbox.addEventListener('click', e => {
+      const button = e.target.closest('[data-action]');
+      if (button) {
+        runAction(button.dataset.action);
+      } else if (e.target === stage) {
+        // Clicking the dark area around the image closes the viewer
+        close();
+      }
+    });
+    lightbox.addEventListener('keydown', onKeydown);
+    stage.addEventListener('wheel', onWheel, { passive: false });
+    stage.addEventListener('dblclick', onDoubleClick);
+    stage.addEventListener('pointerdown', onPointerDown);
+    stage.addEventListener('pointermove', onPointerMove);
+    stage.addEventListener('pointerup', onPointerUp);
+    stage.addEventListener('pointercancel', onPointerUp);
+  }
+
+  function runAction(action) {
+    switch (action) {
+      case 'prev': show(currentIndex - 1); break;
+      case 'next': show(currentIndex + 1); break;
+      case 'zoom-in': zoomBy(ZOOM_STEP); break;
+      case 'zoom-out': zoomBy(1 / ZOOM_STEP); break;
+      case 'reset': resetZoom(); break;
+      case 'close': close(); break;
+    }
+  }
+
+  /**
+   * Open the lightbox on an image of the page. The gallery is the images
+   * currently on show, in page order, since filtering and grouping hide
+   * and move cards after load.
+   */
+  function open(img) {
+    if (!lightbox) createLightbox();
+    images = Array.from(document.querySelectorAll(IMAGE_SELECTOR))
+      .filter(image => image === img || !image.closest(HIDDEN_SELECTOR));
+    returnFocus = img;
+    lightbox.hidden = false;
+    document.body.classList.add('lightbox-open');
+    show(images.indexOf(img));
+    lightbox.querySelector('.lightbox-close').focus();
+  }
+
+  function close() {
+    if (!lightbox || lightbox.hidden) return;
+    lightbox.hidden = true;
+    document.body.classList.remove('lightbox-open');
+    pointers.clear();
+    gesture = null;
+    if (returnFocus && returnFocus.focus) returnFocus.focus();
+  }
+
+  /**
+   * Show an image by index, wrapping around the ends
+   */
+  function show(index) {
+    currentIndex = (index + images.length) % images.length;
+    const img = images[currentIndex];
+    const caption = getCaption(img);
+
+    picture.src = img.currentSrc || img.src;
+    picture.alt = caption.title;
+    resetZoom();
+
+    const title = lightbox.querySelector('.lightbox-title');
+    title.textContent = '';
+    if (caption.url) {
+      const link = document.createElement('a');
+      link.href = caption.url;
+      link.textContent = caption.title;
+      title.appendChild(link);
+    } else {
+      title.textContent = caption.title;
+    }
+    lightbox.querySelector('.lightbox-artist').textContent = caption.artist;
+    lightbox.querySelector('.lightbox-counter').textContent =
+      images.length > 1 ? (currentIndex + 1) + ' / ' + images.length : '';
+    const credit = getCredit(img);
+    const creditLink = lightbox.querySelector('.lightbox-credit');
+    creditLink.href = credit.url;
+    creditLink.textContent = credit.label;
+
+    lightbox.querySelectorAll('.lightbox-nav').forEach(btn => { btn.hidden = images.length < 2; });
+  }
+
+  function applyTransform() {
+    picture.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
+    lightbox.classList.toggle('lightbox--zoomed', scale > MIN_SCALE);
+  }
+
+  function resetZoom() {
+    scale = MIN_SCALE;
+    offsetX = 0;
+    offsetY = 0;
+    applyTransform();
+  }
+
+  /**
+   * Zoom by a factor around a point in stage coordinates (default: centre),
+   * keeping that point of the image under it
+   */
+  function zoomBy(factor, originX, originY) {
+    const next = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale * factor));
+    if (next === MIN_SCALE) {
+      resetZoom();
+      return;
+    }
+
+    const rect = stage.getBoundingClientRect();
+    const x = (originX === undefined ? rect.width / 2 : originX) - rect.width / 2;
+    const y = (originY === undefined ? rect.height / 2 : originY) - rect.height / 2;
+    const ratio = next / scale;
+    offsetX = x - (x - offsetX) * ratio;
+    offsetY = y - (y - offsetY) * ratio;
+    scale = next;
+    applyTransform();
+  }
+
+  function onWheel(e) {
+    e.preventDefault();
+    const rect = stage.getBoundingClientRect();
+    zoomBy(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  function onDoubleClick(e) {
+    if (scale > MIN_SCALE) {
+      resetZoom();
+    } else {
+      const rect = stage.getBoundingClientRect();
+      zoomBy(DOUBLE_CLICK_SCALE, e.clientX - rect.left, e.clientY - rect.top);
+    }
+  }
+
+  function pointerDistance() {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  function onPointerDown(e) {
+    if (e.target.closest('button, a')) return;
+    if (stage.setPointerCapture) stage.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2) {
+      gesture = { type: 'pinch', distance: pointerDistance(), scale: scale };
+    } else if (pointers.size === 1) {
+      gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, offsetX: offsetX, offsetY: offsetY };
+    }
+  }
+
+  function onPointerMove(e) {
+    if (!pointers.has(e.pointerId) || !gesture) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (gesture.type === 'pinch' && pointers.size === 2) {
+      const rect = stage.getBoundingClientRect();
+      const [a, b] = Array.from(pointers.values());
+      const target = gesture.scale * pointerDistance() / gesture.distance;
+      zoomBy(target / scale, (a.x + b.x) / 2 - rect.left, (a.y + b.y) / 2 - rect.top);
+    } else if (gesture.type === 'drag' && scale > MIN_SCALE) {
+      offsetX = gesture.offsetX + e.clientX - gesture.startX;
+      offsetY = gesture.offsetY + e.clientY - gesture.startY;
+      applyTransform();
+    }
+  }
+
+  function onPointerUp(e) {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+
+    // A horizontal drag on an unzoomed image is a swipe to the next/previous
+    if (gesture && gesture.type === 'drag' && scale === MIN_SCALE) {
+      const dx = e.clientX - gesture.startX;
+      const dy = e.clientY - gesture.startY;
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        show(currentIndex + (dx < 0 ? 1 : -1));
+      }
+    }
+    gesture = null;
+  }
+
+  function onKeydown(e) {
+    switch (e.key) {
+      case 'Escape': close(); break;
+      case 'ArrowLeft': show(currentIndex - 1); break;
+      case 'ArrowRight': show(currentIndex + 1); break;
+      case '+':
+      case '=': zoomBy(ZOOM_STEP); break;
+      case '-': zoomBy(1 / ZOOM_STEP); break;
+      case '0': resetZoom(); break;
+      case 'Tab': trapFocus(e); return;
+      default: return;
+    }
+    e.preventDefault();
+  }
+
+  /**
+   * Keep Tab focus cycling inside the dialog
+   */
+  function trapFocus(e) {
+    const focusable = Array.from(lightbox.querySelectorAll('button:not([hidden]), a[href]'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Make each image an accessible trigger
+  triggers.forEach(img => {
+    img.classList.add('lightbox-trigger');
+    img.setAttribute('tabindex', '0');
+    img.setAttribute('role', 'button');
+    img.setAttribute('aria-label', 'View larger: ' + (getCaption(img).title || 'image'));
+    img.addEventListener('click', () => open(img));
+    img.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        open(img);
+      }
+    });
+  });
+})();
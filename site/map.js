@@ -2,10 +2,92 @@
  * Interactive map for location pins with tiered artwork count labels
  * Renaissance Cartographer's Atlas design with Stamen Toner Lite tiles
  * Lazy-loaded when the map tab is activated
+ *
+ * Pins that would overlap at the current zoom are merged into cluster
+ * badges showing the total artworks of their locations. Clusters are
+ * recomputed on every zoom; clicking one zooms in until it splits.
+ *
+ * A filter bar above the map narrows the artworks by city, artist,
+ * century, medium and bible story; each pin then counts only matching
+ * artworks and locations without any are hidden. A century slider below
+ * it narrows them further to a window of time, and can play through the
+ * centuries to show where art was being made in each period.
+ *
+ * The "near me" control (positions come from nearby.js) marks the visitor
+ * on the map and lists the shown locations by distance and walking time,
+ * updating as they move.
+ *
+ * Searches on the index page narrow the map too: search.js dispatches
+ * `search-results` with the matching index entries, and each pin then counts
+ * the artworks matched directly, by artist or by bible story; a location
+ * matched only by its name keeps all its artworks, with a ringed pin. Once typing pauses the view fits the
+ * matches, and it returns when the search is cleared.
+ *
+ * A pin's popup previews the location's matching artworks and can add the
+ * location as a stop on a day of the cached trip itinerary (trip.js).
  */
 (function() {
+  // Markers closer than this (in screen pixels) are merged into a cluster
+  const CLUSTER_RADIUS = 44;
+  // Artworks listed in a location popup; the rest are left to its page
+  const MAX_POPUP_ARTWORKS = 12;
+  // Width of the Commons thumbnails requested for popup rows (2x their size)
+  const POPUP_THUMB_WIDTH = 120;
+
   let map = null;
   let mapInitialized = false;
+  // Layer holding whatever is currently drawn: single pins and clusters
+  let clusterLayer = null;
+  // { loc, marker, count, byName } for every location with coordinates, where
+  // count is the number of its artworks passing the current filters (all of
+  // them when byName, i.e. a search matched only the location's name)
+  let locationMarkers = [];
+
+  // Filter groups for the map. Labels, the "unknown" option and ordering
+  // follow the artwork grid filters (filterValueLabel/compareFilterValues
+  // in sort.js); values are read from the map data instead of cards.
+  const MAP_FILTERS = [
+    { key: 'city', label: 'City', all: 'All cities', unknown: 'Unknown city', value: (artwork, loc) => loc.city || '' },
+    { key: 'artist', label: 'Artist', all: 'All artists', unknown: 'Unknown artist', value: artwork => artwork.artist },
+    { key: 'century', label: 'Century', all: 'All centuries', unknown: 'Unknown date', value: artworkCentury },
+    { key: 'medium', label: 'Medium', all: 'All media', unknown: 'Unknown medium', value: artwork => artwork.medium.replace(/\([^)]*\)/g, '').trim() },
+    { key: 'story', label: 'Bible story', all: 'All bible stories', unknown: 'No bible story', value: artwork => artwork.story }
+  ];
+  // Selected value per filter key, or null for "all"
+  const selectedFilters = {};
+  // Values each filter offers, in display order
+  const filterValues = {};
+  let filterBar = null;
+
+  // Last century on the time slider; it starts at the earliest in the data
+  const LAST_SLIDER_CENTURY = 18;
+  // Time each century stays on screen during playback (ms)
+  const PLAYBACK_STEP = 1200;
+  // Centuries on the slider, in order; slider position 0 is "All periods"
+  let sliderCenturies = [];
+  // Selected century as a year range { century, start, end }, or null
+  let timeWindow = null;
+  let timeControl = null;
+  let playTimer = null;
+
+  // Near-me mode: the side list and the visitor's marker and accuracy circle
+  let nearbyPanel = null;
+  let userMarker = null;
+  let accuracyCircle = null;
+  // Whether the view has been moved to the visitor since near-me was turned on
+  let nearbyFramed = false;
+  // Nearest locations kept in view on the first fix
+  const NEARBY_FRAME_COUNT = 3;
+
+  // Entries matched by the active search, by kind, or null with no search:
+  // { query, locations, artworks, artists, stories } (Sets of page ids)
+  let searchMatches = null;
+  // Pause in search results before the view follows them, so it doesn't
+  // jump on every keystroke
+  const SEARCH_FIT_DELAY = 600;
+  let searchFitTimer = null;
+  // View change waiting for the map tab to be visible: 'matches', 'all' or null
+  let pendingFit = null;
 
   // Get marker size tier based on artwork count
   function getMarkerTier(count) {
@@ -24,12 +106,219 @@
   }
 
   // Create a div icon with the artwork count and tiered sizing
-  function createCountIcon(count) {
+  // Search matches are counted in the same circles, marked as matches;
+  // a location matched only by its name shows all its artworks, outlined
+  function createCountIcon(count, matched, byName) {
     const tier = getMarkerTier(count);
     const size = getIconSize(tier);
+    const matchClass = byName ? ' map-count-circle--name-match' : matched ? ' map-count-circle--match' : '';
     return L.divIcon({
       className: 'map-count-marker',
-      html: `<div class="map-count-circle map-count-circle--${tier}">${count}</div>`,
+      html: `<div class="map-count-circle map-count-circle--${tier}${matchClass}">${count}</div>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2]
+    });
+  }
+
+  // Century an artwork's date starts in, as a signed string ("-1" is the
+  // 1st century BC), matching cardCentury() in sort.js
+  function artworkCentury(artwork) {
+    if (artwork.start === null || artwork.start === undefined) return '';
+    const year = artwork.start;
+    return String(year > 0 ? Math.ceil(year / 100) : -Math.ceil(-year / 100));
+  }
+
+  // Years covered by a signed century: 15 -> 1401..1500, -1 -> -100..-1
+  function centuryYears(century) {
+    return century > 0
+      ? { start: (century - 1) * 100 + 1, end: century * 100 }
+      : { start: century * 100, end: (century + 1) * 100 - 1 };
+  }
+
+  // Whether an artwork's date range overlaps the slider's century
+  function inTimeWindow(artwork) {
+    if (!timeWindow) return true;
+    if (artwork.start === null || artwork.start === undefined) return false;
+    return artwork.start <= timeWindow.end && artwork.end >= timeWindow.start;
+  }
+
+  // Whether the active search matched an artwork, its artist or its bible
+  // story (a location matched by name keeps its pin, see isShown())
+  function matchesSearch(artwork) {
+    return !searchMatches ||
+      searchMatches.artworks.has(artwork.id) ||
+      searchMatches.artists.has(artwork.artistId) ||
+      searchMatches.stories.has(artwork.storyId);
+  }
+
+  // Whether an artwork passes every filter (ignoring one, for option counts)
+  function artworkMatches(artwork, loc, skipKey) {
+    return inTimeWindow(artwork) && matchesSearch(artwork) && MAP_FILTERS.every(group =>
+      group.key === skipKey ||
+      selectedFilters[group.key] === null ||
+      group.value(artwork, loc) === selectedFilters[group.key]
+    );
+  }
+
+  // Small version of an artwork image: Wikimedia Commons scales hotlinked
+  // originals at /thumb/<path>/<width>px-<file>; local images are used as is
+  function thumbnailUrl(image) {
+    const match = image.match(/^(https:\/\/upload\.wikimedia\.org\/wikipedia\/commons\/)(?:thumb\/)?([0-9a-f]\/[0-9a-f]{2}\/([^/]+))/);
+    if (!match) return image;
+    const [, base, path, file] = match;
+    // Commons renders TIFFs and SVGs to JPEG and PNG thumbnails
+    const name = /\.tiff?$/i.test(file) ? `lossy-page1-${POPUP_THUMB_WIDTH}px-${file}.jpg`
+      : /\.svg$/i.test(file) ? `${POPUP_THUMB_WIDTH}px-${file}.png`
+      : `${POPUP_THUMB_WIDTH}px-${file}`;
+    return `${base}thumb/${path}/${name}`;
+  }
+
+  // Preview row for one artwork: thumbnail (if any), title, artist and date
+  function createArtworkItem(artwork) {
+    const thumb = artwork.image
+      ? `<img class="map-popup-artwork-thumb" src="${escapeHtml(thumbnailUrl(artwork.image))}" alt="" loading="lazy">`
+      : '<span class="map-popup-artwork-thumb map-popup-artwork-thumb--empty" aria-hidden="true"></span>';
+    const meta = [artwork.artist, artwork.date].filter(Boolean).map(escapeHtml).join(' · ');
+    return `
+      <li>
+        <a href="artworks/${artwork.id}.html" class="map-popup-artwork">
+          ${thumb}
+          <span class="map-popup-artwork-text">
+            <span class="map-popup-artwork-title">${escapeHtml(artwork.title)}</span>
+            ${meta ? `<span class="map-popup-artwork-meta">${meta}</span>` : ''}
+          </span>
+        </a>
+      </li>
+    `;
+  }
+
+  /**
+   * Popup for a location: its matching artworks (researched ones first, or
+   * all of them if a search matched the location by name) and, on the index
+   * page, a control for adding it to the trip. Built each time the popup
+   * opens so the trip's days are current.
+   */
+  function createPopupContent(loc, count, byName) {
+    const artworkText = count === 1 ? '1 artwork' : `${count} artworks`;
+    const countText = byName ? `${artworkText} · location matched by name`
+      : count === loc.artworkCount ? artworkText
+      : `${artworkText} match (of ${loc.artworkCount})`;
+
+    const matching = byName ? loc.artworks : loc.artworks.filter(artwork => artworkMatches(artwork, loc));
+    const listed = matching.filter(artwork => artwork.researched)
+      .concat(matching.filter(artwork => !artwork.researched))
+      .slice(0, MAX_POPUP_ARTWORKS);
+    const more = matching.length - listed.length;
+
+    const popup = document.createElement('div');
+    popup.className = 'map-popup';
+    popup.innerHTML = `
+      <h4><a href="locations/${loc.id}.html">${escapeHtml(loc.title)}</a></h4>
+      ${loc.city ? `<p class="map-popup-city">${escapeHtml(loc.city)}</p>` : ''}
+      <p class="map-popup-count">${countText}</p>
+      ${listed.length > 0 ? `<ul class="map-popup-artworks">${listed.map(createArtworkItem).join('')}</ul>` : ''}
+      ${more > 0 ? `<p class="map-popup-more">+${more} more</p>` : ''}
+      <a href="locations/${loc.id}.html" class="map-popup-link">View Collection →</a>
+    `;
+    if (window.TripPlanner) {
+      popup.appendChild(createTripControl(loc));
+    }
+    return popup;
+  }
+
+  // The itinerary entry for a location, in trip.js's stop format
+  function tripStop(loc) {
+    return {
+      chineseName: loc.title,
+      lat: loc.lat,
+      lng: loc.lng,
+      mapLink: `https://www.google.com/maps/search/?api=1&query=${loc.lat},${loc.lng}`,
+      pageLinkName: loc.id
+    };
+  }
+
+  /**
+   * "Add to trip": pick a day of the cached itinerary and append the
+   * location to it. Days that already include it are listed but disabled.
+   * Without an itinerary it offers to open the Trip tab instead.
+   */
+  function createTripControl(loc) {
+    const section = document.createElement('div');
+    section.className = 'map-popup-trip';
+    const days = window.TripPlanner.getDays();
+
+    if (days.length === 0) {
+      const openBtn = document.createElement('button');
+      openBtn.type = 'button';
+      openBtn.className = 'map-popup-trip-btn';
+      openBtn.textContent = 'Set up a trip to add stops';
+      openBtn.addEventListener('click', () => {
+        const tripTab = document.querySelector('.tab-btn[data-tab="trip"]');
+        if (tripTab) tripTab.click();
+      });
+      section.appendChild(openBtn);
+      return section;
+    }
+
+    const select = document.createElement('select');
+    select.className = 'map-popup-trip-day';
+    select.setAttribute('aria-label', 'Trip day');
+    days.forEach(day => {
+      const added = day.pages.includes(loc.id);
+      const option = document.createElement('option');
+      option.value = day.id;
+      option.textContent = added ? `${day.label} (added)` : day.label;
+      option.disabled = added;
+      select.appendChild(option);
+    });
+    const firstFree = days.find(day => !day.pages.includes(loc.id));
+    if (firstFree) select.value = firstFree.id;
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'map-popup-trip-btn';
+    addBtn.textContent = 'Add to trip';
+    addBtn.disabled = !firstFree;
+
+    const status = document.createElement('p');
+    status.className = 'map-popup-trip-status';
+    status.setAttribute('role', 'status');
+    status.textContent = firstFree ? '' : 'On every day of your trip';
+
+    // Updated in place: Leaflet takes a click whose target has left the
+    // popup for a click on the map, and would close the popup
+    addBtn.addEventListener('click', () => {
+      const day = days.find(d => d.id === select.value);
+      if (!window.TripPlanner.addStop(day.id, tripStop(loc))) {
+        status.textContent = 'Could not save to your trip';
+        return;
+      }
+      day.pages.push(loc.id);
+      const option = select.selectedOptions[0];
+      option.textContent = `${day.label} (added)`;
+      option.disabled = true;
+      const nextFree = days.find(d => !d.pages.includes(loc.id));
+      if (nextFree) select.value = nextFree.id;
+      addBtn.disabled = !nextFree;
+      status.textContent = `Added to ${day.label}`;
+    });
+
+    const row = document.createElement('div');
+    row.className = 'map-popup-trip-row';
+    row.append(select, addBtn);
+    section.append(row, status);
+    return section;
+  }
+
+  // Create a cluster badge: the summed artwork count in the same tiers,
+  // ringed to tell it apart from a single location
+  function createClusterIcon(count) {
+    const tier = getMarkerTier(count);
+    const size = getIconSize(tier);
+    const matchClass = searchMatches ? ' map-count-circle--match' : '';
+    return L.divIcon({
+      className: 'map-count-marker',
+      html: `<div class="map-count-circle map-count-circle--${tier} map-count-circle--cluster${matchClass}">${count}</div>`,
       iconSize: [size, size],
       iconAnchor: [size / 2, size / 2]
     });
@@ -54,18 +343,17 @@
           <span class="map-legend-dot map-legend-dot--lg"></span>
           <span>16+</span>
         </div>
+        <div class="map-legend-item">
+          <span class="map-legend-dot map-legend-dot--md map-legend-dot--cluster"></span>
+          <span>Nearby locations, total artworks (click to expand)</span>
+        </div>
       </div>
     `;
     return legend;
   }
 
   function initMap() {
-    if (mapInitialized) {
-      if (map) {
-        map.invalidateSize();
-      }
-      return;
-    }
+    if (mapInitialized) return;
 
     const container = document.getElementById('map-container');
     const dataEl = document.getElementById('map-locations-data');
@@ -95,43 +383,547 @@
       maxZoom: 20
     }).addTo(map);
 
-    // Add markers for each location
-    const markers = [];
+    // Create a marker for each location; clustering decides which are drawn
+    locationMarkers = [];
     locations.forEach(loc => {
       if (loc.lat && loc.lng) {
+        loc.artworks = loc.artworks || [];
         const icon = createCountIcon(loc.artworkCount);
 
-        const marker = L.marker([loc.lat, loc.lng], { icon }).addTo(map);
+        const marker = L.marker([loc.lat, loc.lng], { icon, title: loc.title });
 
-        const artworkText = loc.artworkCount === 1 ? '1 artwork' : `${loc.artworkCount} artworks`;
-        const popupContent = `
-          <div class="map-popup">
-            <h4>${escapeHtml(loc.title)}</h4>
-            <p class="map-popup-count">${artworkText}</p>
-            <a href="locations/${loc.id}.html" class="map-popup-link">View Collection →</a>
-          </div>
-        `;
-
-        marker.bindPopup(popupContent, {
-          className: 'map-popup-container'
+        const entry = { loc, marker, count: loc.artworkCount };
+        marker.bindPopup(() => createPopupContent(loc, entry.count, entry.byName), {
+          className: 'map-popup-container',
+          minWidth: 240,
+          maxWidth: 320
         });
 
-        markers.push(marker);
+        locationMarkers.push(entry);
       }
     });
 
+    clusterLayer = L.layerGroup().addTo(map);
+    map.on('zoomend', renderClusters);
+
     // Fit map to show all markers if there are any
-    if (markers.length > 0) {
-      const group = L.featureGroup(markers);
-      map.fitBounds(group.getBounds().pad(0.1));
-    }
+    fitToAll();
+    renderClusters();
 
     // Add legend to container
     container.appendChild(createLegend());
 
+    createFilterBar(container);
+    createTimeSlider(container);
+    if (window.NearMe && window.NearMe.isAvailable()) {
+      createLocateControl().addTo(map);
+    }
+
+    // A search made before the map was first opened
+    if (searchMatches) {
+      applyFilters(false);
+      fitToShown();
+    }
+
     mapInitialized = true;
   }
 
+  /**
+   * Group markers that would overlap at a zoom level. Greedy: the busiest
+   * locations claim their neighbours first, so clusters centre on them.
+   */
+  function buildClusters(entries, zoom) {
+    const clusters = [];
+    const sorted = entries.slice().sort((a, b) => b.count - a.count);
+
+    sorted.forEach(entry => {
+      const point = map.project(entry.marker.getLatLng(), zoom);
+      const cluster = clusters.find(c => c.point.distanceTo(point) <= CLUSTER_RADIUS);
+      if (cluster) {
+        cluster.members.push(entry);
+        cluster.count += entry.count;
+      } else {
+        clusters.push({ point, members: [entry], count: entry.count });
+      }
+    });
+
+    return clusters;
+  }
+
+  // Marker for a cluster of two or more locations
+  function createClusterMarker(cluster) {
+    const latlngs = cluster.members.map(entry => entry.marker.getLatLng());
+    const bounds = L.latLngBounds(latlngs);
+    const marker = L.marker(bounds.getCenter(), {
+      icon: createClusterIcon(cluster.count),
+      title: `${cluster.members.length} locations, ${cluster.count} artworks`
+    });
+
+    marker.on('click', () => {
+      // Zoom to the members; if that would not split them (same building,
+      // or already fully zoomed in) list them in a popup instead
+      if (map.getBoundsZoom(bounds.pad(0.2)) > map.getZoom()) {
+        map.fitBounds(bounds.pad(0.2));
+        return;
+      }
+      const items = cluster.members
+        .map(entry => `<li><a href="locations/${entry.loc.id}.html">${escapeHtml(entry.loc.title)}</a> <span class="map-popup-count">${entry.count}</span></li>`)
+        .join('');
+      marker.bindPopup(`
+        <div class="map-popup">
+          <h4>${cluster.members.length} locations</h4>
+          <ul class="map-popup-cluster-list">${items}</ul>
+        </div>
+      `, { className: 'map-popup-container' }).openPopup();
+    });
+
+    return marker;
+  }
+
+  // Whether any filter or the time slider is narrowing the artworks
+  function filtersActive() {
+    return timeWindow !== null || MAP_FILTERS.some(group => selectedFilters[group.key] !== null);
+  }
+
+  // Locations drawn on the map: all of them, or while filtering only
+  // those with matching artworks. A search also keeps locations it matched
+  // by name even if they have no artworks.
+  function isShown(entry) {
+    if (entry.count > 0) return true;
+    if (filtersActive()) return false;
+    return !searchMatches || searchMatches.locations.has(entry.loc.id);
+  }
+
+  // Redraw pins and clusters for the current zoom
+  function renderClusters() {
+    if (!clusterLayer) return;
+    clusterLayer.clearLayers();
+    const shown = locationMarkers.filter(isShown);
+    buildClusters(shown, map.getZoom()).forEach(cluster => {
+      clusterLayer.addLayer(cluster.members.length === 1
+        ? cluster.members[0].marker
+        : createClusterMarker(cluster));
+    });
+  }
+
+  /**
+   * Recount every location's matching artworks after a filter or time
+   * change, resize its pin, and redraw. With `fit`, and filters active, the
+   * view zooms to the remaining locations (the slider keeps the view still).
+   */
+  function applyFilters(fit) {
+    const filtered = MAP_FILTERS.some(group => selectedFilters[group.key] !== null);
+    const active = filtersActive() || searchMatches !== null;
+    let artworks = 0;
+    let locations = 0;
+    let namedLocations = 0;
+
+    locationMarkers.forEach(entry => {
+      const matching = entry.loc.artworks.filter(artwork => artworkMatches(artwork, entry.loc)).length;
+      const matched = searchMatches !== null;
+      // Matched by name but by none of its artworks: the pin shows them all
+      const byName = matching === 0 && matched && !filtersActive() && searchMatches.locations.has(entry.loc.id);
+      const count = byName ? entry.loc.artworkCount : matching;
+      if (count !== entry.count || matched !== entry.matched || byName !== entry.byName) {
+        entry.count = count;
+        entry.matched = matched;
+        entry.byName = byName;
+        entry.marker.setIcon(createCountIcon(count, matched, byName));
+        if (entry.marker.isPopupOpen()) entry.marker.getPopup().update();
+      }
+      artworks += matching;
+      if (matching > 0) locations++;
+      if (byName) namedLocations++;
+    });
+
+    renderClusters();
+    renderFilterOptions();
+    renderNearbyList();
+
+    const shown = locationMarkers.filter(isShown);
+    if (fit && filtered && shown.length > 0) {
+      const bounds = L.latLngBounds(shown.map(entry => entry.marker.getLatLng()));
+      map.fitBounds(bounds.pad(0.2), { maxZoom: 14 });
+    }
+
+    filterBar.querySelector('.filter-clear').hidden = !filtered;
+    filterBar.querySelector('.filter-summary').textContent = !active ? ''
+      : artworks === 0 && namedLocations > 0
+        ? `Showing ${namedLocations} ${namedLocations === 1 ? 'location' : 'locations'} matching “${searchMatches.query}” by name`
+      : artworks === 0 ? 'No artworks match these filters'
+      : `Showing ${artworks} ${artworks === 1 ? 'artwork' : 'artworks'} at ${locations} ${locations === 1 ? 'location' : 'locations'}` +
+        (timeWindow ? ` from the ${timeWindow.label}` : '') +
+        (searchMatches ? ` matching “${searchMatches.query}”` : '');
+  }
+
+  // Rebuild each select with artwork counts given the other selections
+  function renderFilterOptions() {
+    MAP_FILTERS.forEach(group => {
+      const select = filterBar.querySelector(`[data-filter="${group.key}"]`);
+      const counts = {};
+      let total = 0;
+      locationMarkers.forEach(entry => {
+        entry.loc.artworks.forEach(artwork => {
+          if (!artworkMatches(artwork, entry.loc, group.key)) return;
+          const value = group.value(artwork, entry.loc);
+          counts[value] = (counts[value] || 0) + 1;
+          total++;
+        });
+      });
+
+      // Option values are indexes into filterValues, which may include ''
+      select.innerHTML = '';
+      select.appendChild(new Option(`${group.all} (${total})`, ''));
+      filterValues[group.key].forEach((value, index) => {
+        const count = counts[value] || 0;
+        const option = new Option(`${filterValueLabel(group, value)} (${count})`, String(index));
+        option.disabled = count === 0 && selectedFilters[group.key] !== value;
+        select.appendChild(option);
+      });
+      select.value = selectedFilters[group.key] === null
+        ? ''
+        : String(filterValues[group.key].indexOf(selectedFilters[group.key]));
+    });
+  }
+
+  // Build the filter bar above the map (styled like the artwork grid filters)
+  function createFilterBar(container) {
+    MAP_FILTERS.forEach(group => {
+      const values = new Set();
+      locationMarkers.forEach(entry => {
+        entry.loc.artworks.forEach(artwork => values.add(group.value(artwork, entry.loc)));
+      });
+      filterValues[group.key] = Array.from(values).sort((a, b) => compareFilterValues(group, a, b));
+      selectedFilters[group.key] = null;
+    });
+
+    filterBar = document.createElement('div');
+    filterBar.className = 'filter-controls map-filters';
+    filterBar.innerHTML = '<span>Filter:</span>' + MAP_FILTERS.map(group => `
+      <label class="filter-group">
+        <span class="visually-hidden">${group.label}</span>
+        <select class="filter-select" data-filter="${group.key}"></select>
+      </label>
+    `).join('') +
+      '<button class="filter-clear" type="button" hidden>Clear</button>' +
+      '<p class="filter-summary" role="status" aria-live="polite"></p>';
+    container.parentNode.insertBefore(filterBar, container);
+
+    filterBar.addEventListener('change', e => {
+      const select = e.target.closest('.filter-select');
+      if (!select) return;
+      const key = select.dataset.filter;
+      selectedFilters[key] = select.value === '' ? null : filterValues[key][Number(select.value)];
+      applyFilters(true);
+    });
+
+    filterBar.querySelector('.filter-clear').addEventListener('click', () => {
+      MAP_FILTERS.forEach(group => { selectedFilters[group.key] = null; });
+      applyFilters(false);
+      fitToAll();
+    });
+
+    renderFilterOptions();
+  }
+
+  // Select a slider position: 0 for all periods, else a century
+  function setTimePosition(position) {
+    const slider = timeControl.querySelector('.map-time-range');
+    const output = timeControl.querySelector('.map-time-value');
+    const century = sliderCenturies[position - 1];
+
+    timeWindow = century === undefined ? null : Object.assign(
+      { century, label: filterValueLabel(MAP_FILTERS.find(group => group.key === 'century'), String(century)) },
+      centuryYears(century)
+    );
+    slider.value = String(position);
+    output.textContent = timeWindow ? timeWindow.label : 'All periods';
+    slider.setAttribute('aria-valuetext', output.textContent);
+    applyFilters(false);
+  }
+
+  function stopPlayback() {
+    if (!playTimer) return;
+    clearInterval(playTimer);
+    playTimer = null;
+    const button = timeControl.querySelector('.map-time-play');
+    button.textContent = '▶';
+    button.setAttribute('aria-label', 'Play through the centuries');
+    button.setAttribute('aria-pressed', 'false');
+  }
+
+  // Step through the centuries from the current one (or the first) to the end
+  function startPlayback() {
+    const slider = timeControl.querySelector('.map-time-range');
+    const last = sliderCenturies.length;
+    if (Number(slider.value) === 0 || Number(slider.value) === last) {
+      setTimePosition(1);
+    }
+
+    const button = timeControl.querySelector('.map-time-play');
+    button.textContent = '❚❚';
+    button.setAttribute('aria-label', 'Pause');
+    button.setAttribute('aria-pressed', 'true');
+
+    playTimer = setInterval(() => {
+      const next = Number(slider.value) + 1;
+      if (next > last) {
+        stopPlayback();
+        return;
+      }
+      setTimePosition(next);
+    }, PLAYBACK_STEP);
+  }
+
+  // Build the century slider between the filter bar and the map
+  function createTimeSlider(container) {
+    const starts = locationMarkers
+      .flatMap(entry => entry.loc.artworks)
+      .map(artworkCentury)
+      .filter(Boolean)
+      .map(Number);
+    if (starts.length === 0) return;
+
+    sliderCenturies = [];
+    for (let century = Math.min(...starts); century <= LAST_SLIDER_CENTURY; century++) {
+      if (century !== 0) sliderCenturies.push(century);
+    }
+
+    timeControl = document.createElement('div');
+    timeControl.className = 'map-time';
+    timeControl.innerHTML = `
+      <button type="button" class="map-time-play" aria-label="Play through the centuries" aria-pressed="false">▶</button>
+      <label class="map-time-label" for="map-time-range">Period</label>
+      <input type="range" id="map-time-range" class="map-time-range"
+             min="0" max="${sliderCenturies.length}" step="1" value="0" aria-valuetext="All periods">
+      <output class="map-time-value" for="map-time-range">All periods</output>
+    `;
+    container.parentNode.insertBefore(timeControl, container);
+
+    timeControl.querySelector('.map-time-range').addEventListener('input', e => {
+      stopPlayback();
+      setTimePosition(Number(e.target.value));
+    });
+    timeControl.querySelector('.map-time-play').addEventListener('click', () => {
+      if (playTimer) {
+        stopPlayback();
+      } else {
+        startPlayback();
+      }
+    });
+  }
+
+  // Whether the map can be measured (fitting a hidden map goes wrong)
+  function mapVisible() {
+    return window.Tabs.getShownTab() === 'map';
+  }
+
+  // Default view: every location
+  function fitToAll() {
+    if (locationMarkers.length === 0) return;
+    if (!mapVisible()) {
+      pendingFit = 'all';
+      return;
+    }
+    const group = L.featureGroup(locationMarkers.map(entry => entry.marker));
+    map.fitBounds(group.getBounds().pad(0.1));
+  }
+
+  // Zoom to the locations currently drawn
+  function fitToShown() {
+    const shown = locationMarkers.filter(isShown);
+    if (shown.length === 0) return;
+    if (!mapVisible()) {
+      pendingFit = 'matches';
+      return;
+    }
+    map.fitBounds(L.latLngBounds(shown.map(entry => entry.marker.getLatLng())).pad(0.2), { maxZoom: 14 });
+  }
+
+  /**
+   * Follow the index page search (see notifyResults() in search.js). Results
+   * are sorted into the kinds of entry that tie to map locations; a null
+   * result list means the search was cleared.
+   */
+  function onSearchResults(e) {
+    const results = e.detail.results;
+    const hadSearch = searchMatches !== null;
+
+    if (!results) {
+      if (!hadSearch) return;
+      searchMatches = null;
+    } else {
+      searchMatches = {
+        query: e.detail.query.source,
+        locations: new Set(),
+        artworks: new Set(),
+        artists: new Set(),
+        stories: new Set()
+      };
+      // Page ids from the result URLs, as in the map data (artistId, storyId)
+      results.forEach(result => {
+        const id = result.url.replace(/^.*\//, '').replace(/\.html$/, '');
+        switch (result.type) {
+          case 'location': searchMatches.locations.add(id); break;
+          case 'artwork': searchMatches.artworks.add(id); break;
+          case 'artist': searchMatches.artists.add(id); break;
+          case 'bible story': searchMatches.stories.add(id); break;
+        }
+      });
+    }
+
+    // Before the map exists, initMap() picks the search up
+    if (!mapInitialized) return;
+    applyFilters(false);
+    clearTimeout(searchFitTimer);
+    searchFitTimer = setTimeout(searchMatches ? fitToShown : fitToAll, SEARCH_FIT_DELAY);
+  }
+
+  document.addEventListener('search-results', onSearchResults);
+
+  // Map button that turns near-me mode on and off
+  function createLocateControl() {
+    const LocateControl = L.Control.extend({
+      options: { position: 'topleft' },
+      onAdd() {
+        const bar = L.DomUtil.create('div', 'leaflet-bar map-locate');
+        const button = L.DomUtil.create('button', 'map-locate-btn', bar);
+        button.type = 'button';
+        button.textContent = '◎';
+        button.title = 'Show locations near me';
+        button.setAttribute('aria-label', 'Show locations near me');
+        button.setAttribute('aria-pressed', 'false');
+        L.DomEvent.disableClickPropagation(bar);
+        L.DomEvent.on(button, 'click', () => {
+          if (nearbyPanel) {
+            stopNearby();
+          } else {
+            startNearby();
+          }
+        });
+        return bar;
+      }
+    });
+    return new LocateControl();
+  }
+
+  function setLocateButtonPressed(pressed) {
+    const button = document.querySelector('.map-locate-btn');
+    if (button) button.setAttribute('aria-pressed', String(pressed));
+  }
+
+  function startNearby() {
+    nearbyPanel = document.createElement('div');
+    nearbyPanel.className = 'map-nearby';
+    nearbyPanel.innerHTML = `
+      <div class="map-nearby-header">
+        <span class="map-nearby-title">Near me</span>
+        <button type="button" class="map-nearby-close" aria-label="Close near me">&times;</button>
+      </div>
+      <p class="map-nearby-status" role="status" aria-live="polite">Finding your location…</p>
+      <ol class="map-nearby-list"></ol>
+    `;
+    L.DomEvent.disableClickPropagation(nearbyPanel);
+    L.DomEvent.disableScrollPropagation(nearbyPanel);
+    document.getElementById('map-container').appendChild(nearbyPanel);
+
+    nearbyPanel.querySelector('.map-nearby-close').addEventListener('click', stopNearby);
+    nearbyPanel.querySelector('.map-nearby-list').addEventListener('click', e => {
+      const item = e.target.closest('[data-location]');
+      if (item) showLocation(item.dataset.location);
+    });
+
+    nearbyFramed = false;
+    setLocateButtonPressed(true);
+    window.NearMe.locate('map');
+  }
+
+  function stopNearby() {
+    window.NearMe.stop('map');
+    if (nearbyPanel) nearbyPanel.remove();
+    if (userMarker) userMarker.remove();
+    if (accuracyCircle) accuracyCircle.remove();
+    nearbyPanel = null;
+    userMarker = null;
+    accuracyCircle = null;
+    setLocateButtonPressed(false);
+  }
+
+  // Pan to a location from the near-me list and open its popup
+  function showLocation(id) {
+    const entry = locationMarkers.find(e => e.loc.id === id);
+    if (!entry) return;
+    map.setView(entry.marker.getLatLng(), Math.max(map.getZoom(), 16));
+    // Clusters are redrawn on zoomend; the pin may only now be on the map
+    setTimeout(() => {
+      if (clusterLayer.hasLayer(entry.marker)) entry.marker.openPopup();
+    }, 0);
+  }
+
+  // Shown locations sorted by straight-line distance from the visitor
+  function nearbyEntries(position) {
+    return locationMarkers
+      .filter(isShown)
+      .map(entry => ({ entry, km: window.NearMe.distanceKm(position, entry.loc) }))
+      .sort((a, b) => a.km - b.km);
+  }
+
+  function renderNearbyList() {
+    if (!nearbyPanel) return;
+    const position = window.NearMe.getPosition();
+    if (!position) return;
+
+    const nearby = nearbyEntries(position);
+    nearbyPanel.querySelector('.map-nearby-status').textContent = nearby.length === 0
+      ? 'No locations match the current filters.'
+      : `${nearby.length} ${nearby.length === 1 ? 'location' : 'locations'} by distance`;
+    nearbyPanel.querySelector('.map-nearby-list').innerHTML = nearby.map(({ entry, km }) => {
+      const walk = window.NearMe.formatWalk(km);
+      return `
+        <li>
+          <button type="button" class="map-nearby-item" data-location="${escapeHtml(entry.loc.id)}">
+            <span class="map-nearby-name">${escapeHtml(entry.loc.title)}</span>
+            <span class="map-nearby-distance">${window.NearMe.formatDistance(km)}${walk ? ` · ${walk}` : ''}</span>
+          </button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  // Move the visitor's marker, and frame them with the nearest locations
+  // the first time a position comes in
+  function onPositionChanged(e) {
+    if (!nearbyPanel || !map) return;
+    const position = e.detail;
+    const latlng = [position.lat, position.lng];
+
+    if (!userMarker) {
+      accuracyCircle = L.circle(latlng, { radius: position.accuracy, className: 'map-user-accuracy', interactive: false }).addTo(map);
+      userMarker = L.circleMarker(latlng, { radius: 8, className: 'map-user-marker' })
+        .bindTooltip('You are here')
+        .addTo(map);
+    } else {
+      userMarker.setLatLng(latlng);
+      accuracyCircle.setLatLng(latlng).setRadius(position.accuracy);
+    }
+
+    renderNearbyList();
+
+    if (!nearbyFramed) {
+      nearbyFramed = true;
+      const nearest = nearbyEntries(position).slice(0, NEARBY_FRAME_COUNT);
+      const bounds = L.latLngBounds([latlng].concat(nearest.map(({ entry }) => entry.marker.getLatLng())));
+      map.fitBounds(bounds.pad(0.2), { maxZoom: 16 });
+    }
+  }
+
+  document.addEventListener('position-changed', onPositionChanged);
+
+  document.addEventListener('position-error', e => {
+    if (!nearbyPanel) return;
+    nearbyPanel.querySelector('.map-nearby-status').textContent = e.detail.message;
+  });
+
   function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
@@ -139,16 +931,26 @@
     return div.innerHTML;
   }
 
-  // Listen for map tab activation
-  document.addEventListener('map-tab-shown', function() {
+  // Build the map the first time the map tab is shown
+  window.Tabs.registerLazyInit('map', function() {
     setTimeout(initMap, 50);
   });
 
-  // Also check if map tab is already active on page load
-  document.addEventListener('DOMContentLoaded', function() {
-    const mapPanel = document.querySelector('.tab-panel[data-tab="map"]');
-    if (mapPanel && mapPanel.classList.contains('active')) {
-      initMap();
+  // The container had no size while hidden; let Leaflet re-measure it
+  document.addEventListener('tab-shown', function(e) {
+    if (e.detail.tab === 'map' && map) {
+      map.invalidateSize();
+      // Apply a view change that came in while the tab was hidden
+      if (pendingFit === 'all') fitToAll();
+      if (pendingFit === 'matches') fitToShown();
+      pendingFit = null;
+    }
+  });
+
+  // Don't keep playing the timeline behind another tab
+  document.addEventListener('tab-hidden', function(e) {
+    if (e.detail.tab === 'map' && timeControl) {
+      stopPlayback();
     }
   });
 })();
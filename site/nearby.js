@@ -0,0 +1,165 @@
+/**
+ * "Near me": the visitor's position and distances to locations
+ * Watches navigator.geolocation while any view has asked to follow it
+ * (NearMe.locate(owner) until NearMe.stop(owner)), and on each
+ * fix writes the straight-line distance and walking time onto the Locations
+ * tab items (data-distance, .location-distance) before dispatching
+ * `position-changed` on document with { lat, lng, accuracy } in detail.
+ * Failures dispatch `position-error` with { message }.
+ *
+ * NearMe.setMockPosition({ lat, lng }) replaces the device position, for
+ * tests or demos; call it again to simulate moving.
+ */
+(function() {
+  const EARTH_RADIUS_KM = 6371;
+  // Average walking pace, applied to the straight-line distance
+  const WALKING_SPEED_KMH = 4.5;
+  const WATCH_OPTIONS = { enableHighAccuracy: true, maximumAge: 30000, timeout: 20000 };
+
+  let position = null;
+  let watchId = null;
+  // Views currently following the position, by owner name
+  const owners = new Set();
+  let mocked = false;
+  // id -> { lat, lng } from the map data
+  let coordinates = null;
+
+  /**
+   * Great-circle distance in km between two { lat, lng } points
+   */
+  function distanceKm(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+  }
+
+  function walkingMinutes(km) {
+    return Math.max(1, Math.round(km / WALKING_SPEED_KMH * 60));
+  }
+
+  // "350 m" under a kilometre, "1.2 km" under ten, then whole kilometres
+  function formatDistance(km) {
+    if (km < 1) return `${Math.round(km * 1000 / 10) * 10} m`;
+    return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+  }
+
+  // "12 min walk", "1 h 40 min walk"; beyond a day's walk, nothing
+  function formatWalk(km) {
+    const minutes = walkingMinutes(km);
+    if (minutes > 8 * 60) return '';
+    if (minutes < 60) return `${minutes} min walk`;
+    const rest = minutes % 60;
+    return `${Math.floor(minutes / 60)} h${rest ? ` ${rest} min` : ''} walk`;
+  }
+
+  /**
+   * Location coordinates by page id, read from the map data on index.html
+   */
+  function getCoordinates() {
+    if (coordinates) return coordinates;
+    coordinates = new Map();
+    const dataEl = document.getElementById('map-locations-data');
+    if (!dataEl) return coordinates;
+    try {
+      JSON.parse(dataEl.textContent).forEach(loc => {
+        if (loc.lat && loc.lng) coordinates.set(loc.id, { lat: loc.lat, lng: loc.lng });
+      });
+    } catch (e) {
+      console.error('Failed to parse map locations data:', e);
+    }
+    return coordinates;
+  }
+
+  /**
+   * Mark each Locations tab item with its distance from the visitor
+   */
+  function annotateLocationList() {
+    const coords = getCoordinates();
+    document.querySelectorAll('.location-list li').forEach(li => {
+      const link = li.querySelector('a');
+      const match = link && link.getAttribute('href').match(/locations\/([^/]+)\.html$/);
+      const point = match && coords.get(match[1]);
+      if (!point) return;
+
+      const km = distanceKm(position, point);
+      li.dataset.distance = km.toFixed(3);
+
+      let label = li.querySelector('.location-distance');
+      if (!label) {
+        label = document.createElement('span');
+        label.className = 'location-distance';
+        li.appendChild(label);
+      }
+      const walk = formatWalk(km);
+      label.textContent = walk ? `${formatDistance(km)} · ${walk}` : formatDistance(km);
+    });
+  }
+
+  function update(coords) {
+    position = { lat: coords.latitude, lng: coords.longitude, accuracy: coords.accuracy || 0 };
+    annotateLocationList();
+    document.dispatchEvent(new CustomEvent('position-changed', { detail: Object.assign({}, position) }));
+  }
+
+  function fail(message) {
+    document.dispatchEvent(new CustomEvent('position-error', { detail: { message } }));
+  }
+
+  /**
+   * Start following the visitor's position on behalf of owner (e.g. 'map').
+   * The watch is shared; the last known position is re-announced straight away.
+   */
+  function locate(owner) {
+    owners.add(owner);
+    if (position) {
+      document.dispatchEvent(new CustomEvent('position-changed', { detail: Object.assign({}, position) }));
+    }
+    if (mocked || watchId !== null) return;
+
+    if (!navigator.geolocation) {
+      fail('Location is not available in this browser.');
+      return;
+    }
+    watchId = navigator.geolocation.watchPosition(
+      pos => update(pos.coords),
+      err => fail(err.code === 1 ? 'Location permission was denied.' : 'Your location could not be found.'),
+      WATCH_OPTIONS
+    );
+  }
+
+  function clearWatch() {
+    if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+  }
+
+  /**
+   * Stop following the position for owner; the watch ends with its last owner
+   */
+  function stop(owner) {
+    owners.delete(owner);
+    if (owners.size === 0) clearWatch();
+  }
+
+  /**
+   * Use a fixed position instead of the device's
+   */
+  function setMockPosition(point) {
+    clearWatch();
+    mocked = true;
+    update({ latitude: point.lat, longitude: point.lng, accuracy: point.accuracy || 0 });
+  }
+
+  window.NearMe = {
+    locate: locate,
+    stop: stop,
+    setMockPosition: setMockPosition,
+    getPosition: () => position && Object.assign({}, position),
+    isAvailable: () => mocked || 'geolocation' in navigator,
+    distanceKm: distanceKm,
+    formatDistance: formatDistance,
+    formatWalk: formatWalk
+  };
+})();
@@ -0,0 +1,758 @@
+/**
+ * Search core shared by search.js and search-worker.js
+ * Text folding, fuzzy matching, query parsing, and a BM25-ranked inverted
+ * index over search-index.json. Has no DOM dependencies so it can run in a
+ * Web Worker; relies on parseDate() from sort.js for date fields.
+ */
+(function(global) {
+  'use strict';
+
+  /**
+   * Match quality levels, ordered so higher is better
+   */
+  var MATCH_NONE = 0;
+  var MATCH_FUZZY = 1;
+  var MATCH_EXACT = 2;
+
+  /**
+   * Fold a string for comparison: Unicode-normalize, strip diacritics, lowercase.
+   * Returns the folded text plus a map from each folded index to its index in
+   * the original string, so matches can be located in the original text.
+   */
+  function foldWithMap(text) {
+    var folded = '';
+    var map = [];
+    for (var i = 0; i < text.length; i++) {
+      var ch = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      for (var j = 0; j < ch.length; j++) {
+        folded += ch[j];
+        map.push(i);
+      }
+    }
+    map.push(text.length);
+    return { text: folded, map: map };
+  }
+
+  /**
+   * Fold a string for comparison (see foldWithMap)
+   */
+  function fold(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Split folded text into word tokens
+   */
+  function tokenize(text) {
+    return text.split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  /**
+   * Number of typos tolerated for a query word of the given length
+   */
+  function maxTypos(length) {
+    if (length >= 8) return 2;
+    if (length >= 5) return 1;
+    return 0;
+  }
+
+  /**
+   * Edit distance (optimal string alignment, so a transposition counts as one
+   * edit). Gives up early and returns limit + 1 once the distance exceeds limit.
+   */
+  function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    var prevPrev = null;
+    var prev = [];
+    for (var j = 0; j <= b.length; j++) prev.push(j);
+
+    for (var i = 1; i <= a.length; i++) {
+      var row = [i];
+      var rowMin = i;
+      for (var k = 1; k <= b.length; k++) {
+        var cost = a[i - 1] === b[k - 1] ? 0 : 1;
+        var value = Math.min(prev[k] + 1, row[k - 1] + 1, prev[k - 1] + cost);
+        if (prevPrev && i > 1 && k > 1 && a[i - 1] === b[k - 2] && a[i - 2] === b[k - 1]) {
+          value = Math.min(value, prevPrev[k - 2] + 1);
+        }
+        row.push(value);
+        if (value < rowMin) rowMin = value;
+      }
+      if (rowMin > limit) return limit + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+
+    return prev[b.length];
+  }
+
+  /**
+   * Check whether a query word is within typo tolerance of a text token.
+   * A token longer than the word is also compared on its prefix, so partially
+   * typed words with a typo ("bottecel" for "botticelli") still match.
+   */
+  function fuzzyWordMatches(word, token) {
+    var limit = maxTypos(word.length);
+    if (limit === 0) return false;
+    if (editDistance(word, token, limit) <= limit) return true;
+    return token.length > word.length &&
+      editDistance(word, token.slice(0, word.length), limit) <= limit;
+  }
+
+  /**
+   * Prepare text for repeated matching: folded form and its unique tokens
+   */
+  function prepareText(text) {
+    var folded = fold(text);
+    var tokens = [];
+    var seen = {};
+    tokenize(folded).forEach(function(token) {
+      if (!seen[token]) {
+        seen[token] = true;
+        tokens.push(token);
+      }
+    });
+    return { folded: folded, tokens: tokens };
+  }
+
+  /**
+   * Prepare a query: folded form and its words
+   */
+  function prepareQuery(query) {
+    var folded = fold(query.trim());
+    return { folded: folded, words: tokenize(folded) };
+  }
+
+  /**
+   * Grade how well prepared text matches a prepared query.
+   * Exact: the folded query occurs in the folded text.
+   * Fuzzy: every query word is within typo tolerance of some token.
+   */
+  function matchQuality(prepared, query) {
+    if (!query.folded) return MATCH_NONE;
+    if (prepared.folded.includes(query.folded)) return MATCH_EXACT;
+    if (query.words.length === 0) return MATCH_NONE;
+
+    var allWordsMatch = query.words.every(function(word) {
+      if (prepared.folded.includes(word)) return true;
+      return prepared.tokens.some(function(token) {
+        return fuzzyWordMatches(word, token);
+      });
+    });
+    return allWordsMatch ? MATCH_FUZZY : MATCH_NONE;
+  }
+
+  /**
+   * Locate the best match of a query in the original text.
+   * Returns { start, end } indices into text, or null.
+   */
+  function findMatch(text, query) {
+    var folded = foldWithMap(text);
+    var idx = folded.text.indexOf(query.folded);
+    if (idx !== -1 && query.folded) {
+      return { start: folded.map[idx], end: folded.map[idx + query.folded.length] };
+    }
+
+    var tokenPattern = /[a-z0-9]+/g;
+    var m;
+    while ((m = tokenPattern.exec(folded.text)) !== null) {
+      var token = m[0];
+      var hit = query.words.some(function(word) {
+        return token.includes(word) || fuzzyWordMatches(word, token);
+      });
+      if (hit) {
+        return { start: folded.map[m.index], end: folded.map[m.index + token.length] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Locate every match of a query in the original text, for highlighting.
+   * Exact occurrences of the whole query win; otherwise each query word is
+   * marked where it occurs in a token, or the whole token on a fuzzy match.
+   * Returns { start, end } indices into text, in text order.
+   */
+  function findAllMatches(text, query) {
+    var folded = foldWithMap(text);
+    var ranges = [];
+    if (!query.folded) return ranges;
+
+    var idx = folded.text.indexOf(query.folded);
+    if (idx !== -1) {
+      while (idx !== -1) {
+        ranges.push({ start: folded.map[idx], end: folded.map[idx + query.folded.length] });
+        idx = folded.text.indexOf(query.folded, idx + query.folded.length);
+      }
+      return ranges;
+    }
+
+    var tokenPattern = /[a-z0-9]+/g;
+    var m;
+    while ((m = tokenPattern.exec(folded.text)) !== null) {
+      var token = m[0];
+      for (var i = 0; i < query.words.length; i++) {
+        var word = query.words[i];
+        var at = token.indexOf(word);
+        if (at !== -1) {
+          var from = m.index + at;
+          ranges.push({ start: folded.map[from], end: folded.map[from + word.length] });
+          break;
+        }
+        if (fuzzyWordMatches(word, token)) {
+          ranges.push({ start: folded.map[m.index], end: folded.map[m.index + token.length] });
+          break;
+        }
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * Fields recognised by the field:value query syntax
+   */
+  var QUERY_FIELDS = ['artist', 'type', 'city', 'date'];
+
+  /**
+   * Accepted type: values (folded, spaces removed) mapped to index entry types
+   */
+  var TYPE_ALIASES = {
+    'artist': 'artist',
+    'artists': 'artist',
+    'artwork': 'artwork',
+    'artworks': 'artwork',
+    'work': 'artwork',
+    'works': 'artwork',
+    'location': 'location',
+    'locations': 'location',
+    'place': 'location',
+    'places': 'location',
+    'biblestory': 'bible story',
+    'biblestories': 'bible story',
+    'story': 'bible story',
+    'stories': 'bible story',
+    'term': 'term',
+    'terms': 'term'
+  };
+
+  /**
+   * Parse a date: value into a year range.
+   * Accepts "1500", "1500..1550", "..1550" and "1500..". Returns null if invalid.
+   */
+  function parseYearRange(value) {
+    var m = value.match(/^(-?\d+)?(\.\.)?(-?\d+)?$/);
+    if (!m || (!m[1] && !m[3])) return null;
+    if (!m[2]) {
+      if (m[3]) return null;
+      var year = parseInt(m[1], 10);
+      return { from: year, to: year };
+    }
+    var range = {
+      from: m[1] ? parseInt(m[1], 10) : -Infinity,
+      to: m[3] ? parseInt(m[3], 10) : Infinity
+    };
+    return range.from <= range.to ? range : null;
+  }
+
+  /**
+   * Parse the search box input into terms.
+   * Returns { source, terms, hints } where hints describe ignored terms.
+   */
+  function parseQuery(input) {
+    var query = { source: input.trim(), terms: [], hints: [] };
+    var pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    var m;
+
+    while ((m = pattern.exec(query.source)) !== null) {
+      var negate = m[1] === '-';
+      var field = m[2] ? m[2].toLowerCase() : null;
+      var phrase = m[3] !== undefined;
+      var value = (phrase ? m[3] : m[4]).trim();
+
+      // A field name still being typed ("artist:") is not a search term yet
+      var pending = !field && !phrase && value.match(/^([a-z]+):$/i);
+      if (pending && QUERY_FIELDS.indexOf(pending[1].toLowerCase()) !== -1) continue;
+      if (!value) continue;
+
+      if (field && QUERY_FIELDS.indexOf(field) === -1) {
+        query.hints.push('Unknown filter "' + field + ':" ignored. Try artist:, type:, city: or date:');
+        continue;
+      }
+
+      var term = { field: field, negate: negate, phrase: phrase, value: value };
+
+      if (field === 'type') {
+        term.type = TYPE_ALIASES[fold(value).replace(/\s+/g, '')];
+        if (!term.type) {
+          query.hints.push('Unknown type "' + value + '" ignored. Try artist, artwork, location, story or term');
+          continue;
+        }
+      } else if (field === 'date') {
+        term.range = parseYearRange(value);
+        if (!term.range) {
+          query.hints.push('Invalid date "' + value + '" ignored. Use a year or a range like 1500..1550');
+          continue;
+        }
+      } else {
+        term.prepared = prepareQuery(value);
+        if (term.prepared.words.length === 0) continue;
+      }
+
+      query.terms.push(term);
+    }
+
+    query.isEmpty = query.terms.length === 0;
+    return query;
+  }
+
+  /**
+   * Get the prepared text of the first positive free-text term, used for
+   * snippet highlighting. Returns null if the query has none.
+   */
+  function highlightTerm(query) {
+    for (var i = 0; i < query.terms.length; i++) {
+      var term = query.terms[i];
+      if (!term.field && !term.negate) return term.prepared;
+    }
+    return null;
+  }
+
+  /**
+   * Get the value of a "Label: value" line from index entry content
+   */
+  function contentLine(content, label) {
+    var m = content.match(new RegExp('^' + label + ':\\s*(.+)$', 'm'));
+    return m ? m[1].trim() : '';
+  }
+
+  /**
+   * Build a year span from one date string, or from a start and end date string
+   */
+  function yearSpan(startText, endText) {
+    var start = startText ? parseDate(startText) : null;
+    var end = endText ? parseDate(endText) : start;
+    if (!start) start = end;
+    if (!start || !end) return null;
+    return { start: start.start, end: end.end };
+  }
+
+  /**
+   * Extract field values for an index entry: artist, city and year span
+   */
+  function entryFields(entry) {
+    var content = entry.content;
+    switch (entry.type) {
+      case 'artist':
+        var born = contentLine(content, 'Born');
+        var died = contentLine(content, 'Died');
+        return { artist: entry.title, city: born + ' ' + died, years: yearSpan(born, died) };
+      case 'artwork':
+        return {
+          artist: contentLine(content, 'Artist'),
+          city: contentLine(content, 'Location'),
+          years: yearSpan(contentLine(content, 'Date'))
+        };
+      case 'location':
+        return { artist: '', city: entry.subtitle || '', years: null };
+      default:
+        return { artist: '', city: '', years: null };
+    }
+  }
+
+  /**
+   * Build a matchable record: a type, prepared title and text, and fields
+   */
+  function makeRecord(type, title, text, fields) {
+    fields = fields || {};
+    return {
+      type: type,
+      title: prepareText(title),
+      text: prepareText(text),
+      artist: fields.artist ? prepareText(fields.artist) : null,
+      city: fields.city ? prepareText(fields.city) : null,
+      years: fields.years || null
+    };
+  }
+
+  /**
+   * Grade one query term against a record. Free-text terms match the record
+   * text, or only its title when titleOnly is set.
+   */
+  function matchTerm(record, term, titleOnly) {
+    var prepared;
+    switch (term.field) {
+      case 'type':
+        return record.type === term.type ? MATCH_EXACT : MATCH_NONE;
+      case 'date':
+        var years = record.years;
+        return years && years.start <= term.range.to && years.end >= term.range.from
+          ? MATCH_EXACT
+          : MATCH_NONE;
+      case 'artist':
+      case 'city':
+        prepared = record[term.field];
+        break;
+      default:
+        prepared = titleOnly && !term.negate ? record.title : record.text;
+    }
+
+    if (!prepared) return MATCH_NONE;
+    var quality = matchQuality(prepared, term.prepared);
+    // Quoted phrases and exclusions only count exact matches
+    if ((term.phrase || term.negate) && quality !== MATCH_EXACT) return MATCH_NONE;
+    return quality;
+  }
+
+  /**
+   * Grade a record against a parsed query. Every positive term must match and
+   * no negated term may; the result is the weakest positive match.
+   */
+  function matchRecord(record, query, titleOnly) {
+    var quality = MATCH_EXACT;
+    for (var i = 0; i < query.terms.length; i++) {
+      var term = query.terms[i];
+      var termQuality = matchTerm(record, term, titleOnly);
+      if (term.negate) {
+        if (termQuality !== MATCH_NONE) return MATCH_NONE;
+      } else if (termQuality === MATCH_NONE) {
+        return MATCH_NONE;
+      } else {
+        quality = Math.min(quality, termQuality);
+      }
+    }
+    return quality;
+  }
+
+  /**
+   * BM25 parameters and per-field weights for ranking
+   */
+  var BM25_K1 = 1.2;
+  var BM25_B = 0.75;
+  var FIELD_BOOSTS = {
+    title: 3,
+    type: 2,
+    subtitle: 1.5,
+    content: 1
+  };
+  var INDEXED_FIELDS = Object.keys(FIELD_BOOSTS);
+
+  /**
+   * Weight given to a query word's expansions relative to an exact token hit
+   */
+  var PREFIX_WEIGHT = 0.7;
+  var INFIX_WEIGHT = 0.5;
+  var FUZZY_WEIGHT = 0.4;
+
+  /**
+   * Query words whose expansions are kept per index; typing re-runs the
+   * same words, and the cache is emptied once it holds this many
+   */
+  var EXPANSION_CACHE_SIZE = 500;
+
+  /**
+   * Characters of context on each side of a snippet match
+   */
+  var SNIPPET_CONTEXT = 80;
+
+  /**
+   * Count tokens in folded text
+   */
+  function countTokens(text) {
+    var counts = {};
+    var tokens = tokenize(fold(text));
+    tokens.forEach(function(token) {
+      counts[token] = (counts[token] || 0) + 1;
+    });
+    return { counts: counts, length: tokens.length };
+  }
+
+  /**
+   * Build an inverted index over search-index.json entries.
+   * Each token maps to postings of { doc, title, type, subtitle, content }
+   * term frequencies; per-document field lengths feed BM25 normalisation.
+   */
+  function createIndex(entries) {
+    var index = {
+      docs: [],
+      postings: {},
+      vocabulary: [],
+      tokensByLength: {},
+      prefixGroups: {},
+      averageLengths: {},
+      expansions: {},
+      expansionCount: 0
+    };
+    var totalLengths = {};
+    INDEXED_FIELDS.forEach(function(field) { totalLengths[field] = 0; });
+
+    entries.forEach(function(entry, docId) {
+      var fields = entryFields(entry);
+      var doc = {
+        entry: entry,
+        fields: fields,
+        record: makeRecord(entry.type, entry.title, entry.title + '\n' + entry.content, fields),
+        lengths: {}
+      };
+
+      INDEXED_FIELDS.forEach(function(field) {
+        var counted = countTokens(entry[field] || '');
+        doc.lengths[field] = counted.length;
+        totalLengths[field] += counted.length;
+
+        Object.keys(counted.counts).forEach(function(token) {
+          var list = index.postings[token];
+          if (!list) {
+            list = index.postings[token] = [];
+            index.vocabulary.push(token);
+            (index.tokensByLength[token.length] = index.tokensByLength[token.length] || []).push(token);
+          }
+          var posting = list.length && list[list.length - 1].doc === docId ? list[list.length - 1] : null;
+          if (!posting) {
+            posting = { doc: docId };
+            list.push(posting);
+          }
+          posting[field] = counted.counts[token];
+        });
+      });
+
+      index.docs.push(doc);
+    });
+
+    INDEXED_FIELDS.forEach(function(field) {
+      index.averageLengths[field] = entries.length ? totalLengths[field] / entries.length : 0;
+    });
+
+    return index;
+  }
+
+  /**
+   * Map of entry URL to its extracted fields, for enriching list items
+   */
+  function indexFields(index) {
+    var byUrl = {};
+    index.docs.forEach(function(doc) {
+      byUrl[doc.entry.url] = doc.fields;
+    });
+    return byUrl;
+  }
+
+  /**
+   * Tokens longer than length, grouped by their prefix of that length;
+   * built on first use for each query word length
+   */
+  function prefixGroups(index, length) {
+    var groups = index.prefixGroups[length];
+    if (groups) return groups;
+    groups = index.prefixGroups[length] = {};
+    index.vocabulary.forEach(function(token) {
+      if (token.length <= length) return;
+      var prefix = token.slice(0, length);
+      (groups[prefix] = groups[prefix] || []).push(token);
+    });
+    return groups;
+  }
+
+  /**
+   * Set of index tokens that fuzzyWordMatches(word, token) accepts. Whole
+   * tokens are only compared when their length is within typo tolerance, and
+   * each distinct prefix is compared once for all the tokens that share it.
+   */
+  function fuzzyTokens(index, word) {
+    var matched = {};
+    var limit = maxTypos(word.length);
+    if (limit === 0) return matched;
+
+    for (var length = word.length - limit; length <= word.length + limit; length++) {
+      (index.tokensByLength[length] || []).forEach(function(token) {
+        if (editDistance(word, token, limit) <= limit) matched[token] = true;
+      });
+    }
+
+    var groups = prefixGroups(index, word.length);
+    Object.keys(groups).forEach(function(prefix) {
+      if (editDistance(word, prefix, limit) > limit) return;
+      groups[prefix].forEach(function(token) { matched[token] = true; });
+    });
+    return matched;
+  }
+
+  /**
+   * Find index tokens a query word can stand for, with their weights:
+   * the token itself, tokens it prefixes or occurs in, and typo matches.
+   * Typo matches follow the same rule as list filtering (fuzzyWordMatches).
+   */
+  function expandWord(index, word) {
+    if (Object.prototype.hasOwnProperty.call(index.expansions, word)) {
+      return index.expansions[word];
+    }
+
+    var fuzzy = fuzzyTokens(index, word);
+    var expansions = [];
+    index.vocabulary.forEach(function(token) {
+      var weight = 0;
+      if (token === word) {
+        weight = 1;
+      } else if (token.indexOf(word) === 0) {
+        weight = PREFIX_WEIGHT;
+      } else if (token.indexOf(word) !== -1) {
+        weight = INFIX_WEIGHT;
+      } else if (fuzzy[token]) {
+        weight = FUZZY_WEIGHT;
+      }
+      if (weight > 0) expansions.push({ token: token, weight: weight });
+    });
+
+    if (index.expansionCount >= EXPANSION_CACHE_SIZE) {
+      index.expansions = {};
+      index.expansionCount = 0;
+    }
+    index.expansions[word] = expansions;
+    index.expansionCount++;
+    return expansions;
+  }
+
+  /**
+   * BM25F-style score of one posting: boosted, length-normalised term
+   * frequencies summed across fields, scaled by the token's IDF
+   */
+  function scorePosting(index, posting, idf) {
+    var doc = index.docs[posting.doc];
+    var score = 0;
+    INDEXED_FIELDS.forEach(function(field) {
+      var tf = posting[field];
+      if (!tf) return;
+      var average = index.averageLengths[field] || 1;
+      var norm = 1 - BM25_B + BM25_B * (doc.lengths[field] / average);
+      score += FIELD_BOOSTS[field] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+    });
+    return idf * score;
+  }
+
+  /**
+   * Score every document containing a query word. Returns a map of doc id to
+   * the best weighted score among the word's expansions.
+   */
+  function scoreWord(index, word) {
+    var scores = {};
+    var total = index.docs.length;
+    expandWord(index, word).forEach(function(expansion) {
+      var list = index.postings[expansion.token];
+      var idf = Math.log(1 + (total - list.length + 0.5) / (list.length + 0.5));
+      list.forEach(function(posting) {
+        var score = expansion.weight * scorePosting(index, posting, idf);
+        if (!(posting.doc in scores) || score > scores[posting.doc]) {
+          scores[posting.doc] = score;
+        }
+      });
+    });
+    return scores;
+  }
+
+  /**
+   * Split content around a match into plain-text snippet parts, or null
+   */
+  function snippetParts(content, query) {
+    var found = findMatch(content, query);
+    if (!found) return null;
+
+    var start = Math.max(0, found.start - SNIPPET_CONTEXT);
+    var end = Math.min(content.length, found.end + SNIPPET_CONTEXT);
+    return {
+      truncatedStart: start > 0,
+      before: content.slice(start, found.start),
+      match: content.slice(found.start, found.end),
+      after: content.slice(found.end, end),
+      truncatedEnd: end < content.length
+    };
+  }
+
+  /**
+   * Run a parsed query against the index.
+   * Candidates come from the postings of every positive free-text word, are
+   * verified with matchRecord, then ranked by match quality and BM25 score.
+   * Returns { titleMatches, contentMatches } of plain result objects.
+   */
+  function search(index, query) {
+    var words = [];
+    query.terms.forEach(function(term) {
+      if (!term.field && !term.negate) words = words.concat(term.prepared.words);
+    });
+
+    var scores = null;
+    words.forEach(function(word) {
+      var wordScores = scoreWord(index, word);
+      var next = {};
+      Object.keys(wordScores).forEach(function(docId) {
+        if (scores === null || docId in scores) {
+          next[docId] = (scores ? scores[docId] : 0) + wordScores[docId];
+        }
+      });
+      scores = next;
+    });
+
+    var candidates = scores === null
+      ? index.docs.map(function(doc, docId) { return docId; })
+      : Object.keys(scores).map(Number);
+
+    var snippetTerm = highlightTerm(query);
+    var titleMatches = [];
+    var contentMatches = [];
+
+    candidates.forEach(function(docId) {
+      var doc = index.docs[docId];
+      var entry = doc.entry;
+      var result = {
+        url: entry.url,
+        title: entry.title,
+        subtitle: entry.subtitle || '',
+        type: entry.type,
+        score: scores ? scores[docId] : 0,
+        quality: matchRecord(doc.record, query, true)
+      };
+
+      if (result.quality !== MATCH_NONE) {
+        titleMatches.push(result);
+        return;
+      }
+      result.quality = matchRecord(doc.record, query, false);
+      if (result.quality !== MATCH_NONE) {
+        result.snippet = snippetTerm ? snippetParts(entry.content, snippetTerm) : null;
+        contentMatches.push(result);
+      }
+    });
+
+    // Exact matches rank above fuzzy ones, then by relevance
+    function byRelevance(a, b) {
+      if (a.quality !== b.quality) return b.quality - a.quality;
+      if (a.score !== b.score) return b.score - a.score;
+      return a.title.localeCompare(b.title);
+    }
+    titleMatches.sort(byRelevance);
+    contentMatches.sort(byRelevance);
+
+    return { titleMatches: titleMatches, contentMatches: contentMatches };
+  }
+
+  global.SearchCore = {
+    MATCH_NONE: MATCH_NONE,
+    MATCH_FUZZY: MATCH_FUZZY,
+    MATCH_EXACT: MATCH_EXACT,
+    fold: fold,
+    foldWithMap: foldWithMap,
+    tokenize: tokenize,
+    prepareText: prepareText,
+    prepareQuery: prepareQuery,
+    matchQuality: matchQuality,
+    findMatch: findMatch,
+    findAllMatches: findAllMatches,
+    parseQuery: parseQuery,
+    highlightTerm: highlightTerm,
+    yearSpan: yearSpan,
+    makeRecord: makeRecord,
+    matchRecord: matchRecord,
+    createIndex: createIndex,
+    indexFields: indexFields,
+    search: search
+  };
+})(self);
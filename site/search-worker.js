@@ -0,0 +1,29 @@
+/**
+ * Search worker
+ * Builds the inverted index from search-index.json once, then answers ranked
+ * queries from search.js so typing never waits on scoring
+ *
+ * Messages in:  { type: 'search', id, query }   (query from SearchCore.parseQuery)
+ * Messages out: { type: 'ready', fields }        (entry fields keyed by URL)
+ *               { type: 'results', id, results } (see SearchCore.search)
+ *               { type: 'error', message }
+ */
+importScripts('sort.js', 'search-core.js');
+
+var index = null;
+
+fetch('search-index.json')
+  .then(function(r) { return r.json(); })
+  .then(function(data) {
+    index = SearchCore.createIndex(data);
+    self.postMessage({ type: 'ready', fields: SearchCore.indexFields(index) });
+  })
+  .catch(function(err) {
+    self.postMessage({ type: 'error', message: String(err) });
+  });
+
+self.addEventListener('message', function(e) {
+  var msg = e.data;
+  if (msg.type !== 'search' || !index) return;
+  self.postMessage({ type: 'results', id: msg.id, results: SearchCore.search(index, msg.query) });
+});
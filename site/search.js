@@ -2,26 +2,237 @@
  * Index page search functionality
  * Filters Artists, Locations, Bible Stories, and Trip tabs in real-time
  * Also searches page content via search-index.json
+ *
+ * On pages without #index-search (detail pages, credits) the same content
+ * search runs in a site-wide overlay, opened with "/" or the header button.
+ *
+ * Query syntax: space-separated terms are ANDed together.
+ *   word            free text (accent-insensitive, typo-tolerant)
+ *   "a phrase"      exact phrase
+ *   -word           exclude matches
+ *   artist:Titian   field filters: artist, type, city, date
+ *   date:1500..1550 year range (open ends allowed: date:..1500, date:1500..)
  */
 (function() {
   'use strict';
 
-  const searchInput = document.getElementById('index-search');
-  const clearButton = document.querySelector('.search-clear');
-  const resultsCount = document.querySelector('.search-results-count');
-  const resultsPanel = document.querySelector('.search-results-panel');
+  // Site root, resolved from this script's URL so subdirectory pages can
+  // reach search-index.json, the worker, and result pages
+  const siteRoot = new URL('./', document.currentScript.src).href;
 
-  // Exit early if not on index page
-  if (!searchInput) return;
+  // Index page searches in place; every other page gets the overlay
+  const isIndexPage = !!document.getElementById('index-search');
+  const overlay = isIndexPage ? null : createSearchOverlay();
+  const searchRoot = overlay || document;
+
+  const searchInput = searchRoot.querySelector('.search-input');
+  const clearButton = searchRoot.querySelector('.search-clear');
+  const resultsCount = searchRoot.querySelector('.search-results-count');
+  const queryHint = searchRoot.querySelector('.search-query-hint');
+  const resultsPanel = searchRoot.querySelector('.search-results-panel');
+  const facetBar = searchRoot.querySelector('.search-facets');
+  const resultsStatus = searchRoot.querySelector('.search-results-status');
+
+  const core = window.SearchCore;
+  const MATCH_NONE = core.MATCH_NONE;
+  const parseQuery = core.parseQuery;
+  const makeRecord = core.makeRecord;
+  const matchRecord = core.matchRecord;
+
+  // Shown under the search box when search-index.json could not be loaded
+  const CONTENT_SEARCH_UNAVAILABLE = 'The search index could not be loaded, so page text is not searched';
 
   let debounceTimer;
-  let searchIndex = null;
+  let engine = null;
+  let fieldsByUrl = {};
+  let latestSearchId = 0;
+  let activeResultIndex = -1;
+  let overlayTrigger = null;
+  let highlightedElements = [];
+  let activeFacets = [];
+  let lastResults = null;
+  let lastHasTextTerms = false;
+  let lastVisibleCounts = null;
+  let engineStarted = false;
+  let contentSearchFailed = false;
+
+  /**
+   * Build the search overlay and its header button for non-index pages
+   */
+  function createSearchOverlay() {
+    const el = document.createElement('div');
+    el.className = 'search-overlay';
+    el.hidden = true;
+    el.innerHTML = `
+      <div class="search-overlay-backdrop"></div>
+      <div class="search-overlay-dialog" role="dialog" aria-modal="true" aria-label="Search the site">
+        <div class="search-container">
+          <input type="search" id="site-search" class="search-input"
+                 placeholder="Search artists, artworks, locations, stories, terms..."
+                 autocomplete="off" aria-label="Search the site"
+                 role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="site-search-results">
+          <span class="search-icon" aria-hidden="true"></span>
+          <button class="search-clear" type="button" aria-label="Clear search" hidden>&times;</button>
+        </div>
+        <p class="search-query-hint" role="status" hidden></p>
+        <div class="search-facets" role="group" aria-label="Filter results by type" hidden></div>
+        <div class="search-results-panel" id="site-search-results" role="listbox" aria-label="Search results" hidden></div>
+        <p class="search-results-status visually-hidden" role="status" aria-live="polite"></p>
+        <p class="search-overlay-help">Press <kbd>/</kbd> to search from any page · <kbd>Esc</kbd> to close</p>
+      </div>
+    `;
+    document.body.appendChild(el);
+
+    const nav = document.querySelector('header nav');
+    if (nav) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'nav-search-btn';
+      button.setAttribute('aria-label', 'Search the site');
+      button.setAttribute('aria-haspopup', 'dialog');
+      button.innerHTML = '<span class="nav-search-icon" aria-hidden="true"></span>Search';
+      button.addEventListener('click', function() { openOverlay(button); });
+      nav.insertBefore(button, nav.querySelector('.copy-filename-btn'));
+    }
+
+    el.querySelector('.search-overlay-backdrop').addEventListener('click', closeOverlay);
+    return el;
+  }
+
+  /**
+   * Open the overlay and focus its input, starting the engine on first use
+   */
+  function openOverlay(trigger) {
+    if (!overlay || !overlay.hidden) return;
+    overlayTrigger = trigger || document.activeElement;
+    overlay.hidden = false;
+    document.body.classList.add('search-overlay-open');
+    if (!engineStarted) startEngineOnce();
+    searchInput.focus();
+    searchInput.select();
+  }
+
+  /**
+   * Close the overlay and return focus to whatever opened it
+   */
+  function closeOverlay() {
+    if (!overlay || overlay.hidden) return;
+    closeResultsPanel();
+    overlay.hidden = true;
+    document.body.classList.remove('search-overlay-open');
+    if (overlayTrigger && overlayTrigger.focus) overlayTrigger.focus();
+    overlayTrigger = null;
+  }
+
+  /**
+   * Resolve a search index URL (relative to the site root) for this page
+   */
+  function siteUrl(path) {
+    return new URL(path, siteRoot).href;
+  }
+
+  /**
+   * Start the search engine. Indexing and ranking run in a Web Worker; where
+   * workers are unavailable (e.g. pages opened from file://) or the worker
+   * cannot load the index, the same SearchCore index is built on the main
+   * thread instead. Resolves to an object with search(id, query, callback).
+   */
+  function startEngine() {
+    return new Promise(function(resolve) {
+      var worker;
+      try {
+        worker = new Worker(siteUrl('search-worker.js'));
+      } catch (e) {
+        resolve(startLocalEngine());
+        return;
+      }
+
+      var callbacks = {};
+      var ready = false;
+
+      // Before ready the promise falls back; after it, swap the live engine out
+      function fail() {
+        worker.terminate();
+        if (!ready) {
+          resolve(startLocalEngine());
+          return;
+        }
+        engine = null;
+        useEngine(startLocalEngine());
+      }
+
+      worker.addEventListener('message', function(e) {
+        var msg = e.data;
+        if (msg.type === 'ready') {
+          ready = true;
+          fieldsByUrl = msg.fields;
+          resolve({
+            search: function(id, query, callback) {
+              callbacks[id] = callback;
+              worker.postMessage({ type: 'search', id: id, query: query });
+            }
+          });
+        } else if (msg.type === 'results' && callbacks[msg.id]) {
+          var callback = callbacks[msg.id];
+          delete callbacks[msg.id];
+          callback(msg.results);
+        } else if (msg.type === 'error') {
+          fail();
+        }
+      });
+      worker.addEventListener('error', function(e) {
+        e.preventDefault();
+        fail();
+      });
+    });
+  }
+
+  /**
+   * Build the search index on the main thread
+   */
+  function startLocalEngine() {
+    return fetch(siteUrl('search-index.json'))
+      .then(r => r.json())
+      .then(data => {
+        var index = core.createIndex(data);
+        fieldsByUrl = core.indexFields(index);
+        return {
+          search: function(id, query, callback) {
+            callback(core.search(index, query));
+          }
+        };
+      });
+  }
+
+  /**
+   * Install an engine once it resolves; a query typed while it loads runs when it is ready
+   */
+  function useEngine(pending) {
+    pending
+      .then(function(readyEngine) {
+        engine = readyEngine;
+        // List items pick up fields from the index, so re-run a pending query
+        if (searchInput.value.trim()) {
+          runSearch(searchInput.value);
+        }
+      })
+      .catch(() => {
+        // Index unavailable: lists still filter, but say page content isn't searched
+        contentSearchFailed = true;
+        showQueryHints([]);
+      });
+  }
+
+  /**
+   * Start the engine once
+   */
+  function startEngineOnce() {
+    engineStarted = true;
+    useEngine(startEngine());
+  }
 
-  // Load search index
-  fetch('./search-index.json')
-    .then(r => r.json())
-    .then(data => { searchIndex = data; })
-    .catch(() => { /* index unavailable, content search disabled */ });
+  // The index page searches immediately; the overlay waits until opened
+  if (isIndexPage) startEngineOnce();
 
   /**
    * Debounce function to limit search frequency
@@ -41,6 +252,7 @@
       artists: document.querySelectorAll('.artist-list li'),
       artworks: document.querySelectorAll('.artworks-list li'),
       locationHeaders: document.querySelectorAll('[data-tab="locations"] h3'),
+      locationLists: document.querySelectorAll('.location-list'),
       locations: document.querySelectorAll('.location-list li'),
       bibleStories: document.querySelectorAll('.bible-stories-list li'),
       termsCategories: document.querySelectorAll('.terms-category'),
@@ -51,10 +263,31 @@
   }
 
   /**
-   * Check if text matches search query (case-insensitive substring)
+   * Build a record for an index tab list item, enriched with fields from its
+   * search index entry when the index has loaded
    */
-  function matches(text, query) {
-    return text.toLowerCase().includes(query.toLowerCase());
+  function listItemRecord(li, type, context) {
+    var link = li.querySelector('a');
+    var indexed = link ? fieldsByUrl[link.getAttribute('href')] : null;
+    var fields = indexed ? Object.assign({}, indexed) : {};
+    var text = li.textContent;
+    // Distances added by nearby.js are not part of the location's text
+    var distanceEl = li.querySelector('.location-distance');
+    if (distanceEl) text = text.replace(distanceEl.textContent, '');
+
+    var artistEl = li.querySelector('.artwork-artist');
+    var dateEl = li.querySelector('.artwork-date');
+    if (artistEl) fields.artist = artistEl.textContent;
+    if (dateEl) fields.years = core.yearSpan(dateEl.textContent);
+    if (type === 'artist') fields.artist = link ? link.textContent : text;
+
+    if (context) {
+      text += ' ' + context;
+      if (type === 'location') fields.city = context;
+    }
+    if (fields.city) text += ' ' + fields.city;
+
+    return makeRecord(type, link ? link.textContent : text, text, fields);
   }
 
   /**
@@ -102,81 +335,233 @@
   function searchContentIndex(query) {
     if (!resultsPanel) return;
 
-    if (!searchIndex || query.length < 2 || getActiveTab() === 'trip') {
-      resultsPanel.hidden = true;
-      resultsPanel.innerHTML = '';
+    var searchId = ++latestSearchId;
+
+    if (!engine || !query || query.isEmpty || query.source.length < 2 || getActiveTab() === 'trip') {
+      hideResultsPanel();
+      notifyResults(query, null);
       return;
     }
 
-    var lowerQuery = query.toLowerCase();
-    var titleMatches = [];
-    var contentMatches = [];
-
-    for (var i = 0; i < searchIndex.length; i++) {
-      var entry = searchIndex[i];
-      var titleMatch = entry.title.toLowerCase().includes(lowerQuery);
-      if (titleMatch) {
-        titleMatches.push(entry);
-      } else if (entry.content.toLowerCase().includes(lowerQuery)) {
-        contentMatches.push(entry);
-      }
+    engine.search(searchId, query, function(results) {
+      // Drop responses overtaken by newer keystrokes
+      if (searchId !== latestSearchId) return;
+      notifyResults(query, results.titleMatches.concat(results.contentMatches));
+      lastResults = results;
+      lastHasTextTerms = core.highlightTerm(query) !== null;
+      renderFacets(results);
+      renderResults(results, lastHasTextTerms);
+    });
+  }
+
+  /**
+   * Hide and empty the results panel
+   */
+  function hideResultsPanel() {
+    closeResultsPanel();
+    resultsPanel.innerHTML = '';
+    lastResults = null;
+    if (facetBar) {
+      facetBar.hidden = true;
+      facetBar.innerHTML = '';
+    }
+    announce('');
+  }
+
+  /**
+   * Show the results panel (combobox expanded)
+   */
+  function openResultsPanel() {
+    resultsPanel.hidden = false;
+    searchInput.setAttribute('aria-expanded', 'true');
+  }
+
+  /**
+   * Hide the results panel but keep its results, so Arrow Down can reopen it
+   */
+  function closeResultsPanel() {
+    setActiveResult(-1);
+    resultsPanel.hidden = true;
+    searchInput.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Announce a message to screen readers via the status live region
+   */
+  function announce(message) {
+    if (resultsStatus) resultsStatus.textContent = message;
+  }
+
+  /**
+   * Get the result options currently in the panel
+   */
+  function getResultOptions() {
+    return resultsPanel.querySelectorAll('.search-result-item');
+  }
+
+  /**
+   * Mark a result as active (-1 for none) and point aria-activedescendant at it
+   */
+  function setActiveResult(index) {
+    var options = getResultOptions();
+    options.forEach(function(option, i) {
+      var active = i === index;
+      option.classList.toggle('active', active);
+      option.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+
+    activeResultIndex = index;
+    if (index >= 0 && options[index]) {
+      searchInput.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      searchInput.removeAttribute('aria-activedescendant');
     }
+  }
+
+  /**
+   * Move the active result up or down, wrapping at either end
+   */
+  function moveActiveResult(delta) {
+    var count = getResultOptions().length;
+    if (count === 0) return;
+
+    if (resultsPanel.hidden) openResultsPanel();
 
-    // Sort each group alphabetically by title
-    titleMatches.sort(function(a, b) { return a.title.localeCompare(b.title); });
-    contentMatches.sort(function(a, b) { return a.title.localeCompare(b.title); });
+    var next = activeResultIndex + delta;
+    if (activeResultIndex === -1 && delta < 0) next = count - 1;
+    if (next < 0) next = count - 1;
+    if (next >= count) next = 0;
+    setActiveResult(next);
+  }
+
+  /**
+   * Render ranked title and content matches into the results panel
+   */
+  function renderResults(results, hasTextTerms) {
+    var titleMatches = results.titleMatches.filter(matchesFacets);
+    var contentMatches = results.contentMatches.filter(matchesFacets);
 
     if (titleMatches.length === 0 && contentMatches.length === 0) {
-      resultsPanel.hidden = true;
-      resultsPanel.innerHTML = '';
+      if (results.titleMatches.length === 0 && results.contentMatches.length === 0) {
+        hideResultsPanel();
+      } else {
+        // Only the facets exclude everything; keep the chips so they can be undone
+        closeResultsPanel();
+        resultsPanel.innerHTML = '';
+        announce('No pages of the selected types found.');
+      }
       return;
     }
 
     var html = '';
+    var optionIndex = 0;
 
     if (titleMatches.length > 0) {
-      html += '<div class="search-results-group">';
-      html += '<div class="search-results-group-label">Title matches</div>';
+      // Field-only queries have no title text to match against
+      var titleLabel = hasTextTerms ? 'Title matches' : 'Matches';
+      html += '<div class="search-results-group" role="group" aria-labelledby="search-results-group-title">';
+      html += '<div class="search-results-group-label" id="search-results-group-title">' + titleLabel + '</div>';
       for (var j = 0; j < titleMatches.length; j++) {
-        html += renderResult(titleMatches[j], query, false);
+        html += renderResult(titleMatches[j], optionIndex++);
       }
       html += '</div>';
     }
 
     if (contentMatches.length > 0) {
       if (titleMatches.length > 0) {
-        html += '<hr class="search-results-divider">';
+        html += '<hr class="search-results-divider" role="presentation">';
       }
-      html += '<div class="search-results-group">';
-      html += '<div class="search-results-group-label">Content matches</div>';
+      html += '<div class="search-results-group" role="group" aria-labelledby="search-results-group-content">';
+      html += '<div class="search-results-group-label" id="search-results-group-content">Content matches</div>';
       for (var k = 0; k < contentMatches.length; k++) {
-        html += renderResult(contentMatches[k], query, true);
+        html += renderResult(contentMatches[k], optionIndex++);
       }
       html += '</div>';
     }
 
     resultsPanel.innerHTML = html;
-    resultsPanel.hidden = false;
+    activeResultIndex = -1;
+    searchInput.removeAttribute('aria-activedescendant');
+    openResultsPanel();
+
+    var total = titleMatches.length + contentMatches.length;
+    announce((total === 1 ? '1 page found' : total + ' pages found') + '. Use Up and Down arrows to browse.');
+  }
+
+  /**
+   * Whether a result passes the active type facets (all pass when none are active)
+   */
+  function matchesFacets(result) {
+    return activeFacets.length === 0 || activeFacets.indexOf(result.type) !== -1;
+  }
+
+  /**
+   * Render type facet chips with per-type counts over all results.
+   * Active facets stay listed even when the current query has no hits for them.
+   */
+  function renderFacets(results) {
+    if (!facetBar) return;
+
+    var counts = {};
+    results.titleMatches.concat(results.contentMatches).forEach(function(result) {
+      counts[result.type] = (counts[result.type] || 0) + 1;
+    });
+
+    var html = '';
+    Object.keys(typeLabels).forEach(function(type) {
+      var count = counts[type] || 0;
+      var active = activeFacets.indexOf(type) !== -1;
+      if (count === 0 && !active) return;
+
+      html += '<button type="button" class="search-facet' + (active ? ' active' : '') + '"' +
+        ' data-type="' + escapeHtml(type) + '" aria-pressed="' + active + '">' +
+        escapeHtml(typeLabels[type]) +
+        ' <span class="search-facet-count">' + count + '</span>' +
+        '</button>';
+    });
+
+    facetBar.innerHTML = html;
+    facetBar.hidden = html === '';
+  }
+
+  /**
+   * Toggle a type facet and re-apply it to the current results and count
+   */
+  function toggleFacet(type) {
+    var index = activeFacets.indexOf(type);
+    if (index === -1) {
+      activeFacets.push(type);
+    } else {
+      activeFacets.splice(index, 1);
+    }
+
+    if (lastResults) {
+      renderFacets(lastResults);
+      renderResults(lastResults, lastHasTextTerms);
+    }
+    if (lastVisibleCounts) updateResultsCount(lastVisibleCounts);
   }
 
   /**
    * Render a single search result item
    */
-  function renderResult(entry, query, showSnippet) {
-    var label = typeLabels[entry.type] || entry.type;
-    var badgeClass = 'search-result-type search-result-type--' + entry.type.replace(/\s+/g, '-');
-    var subtitleHtml = entry.subtitle
-      ? '<div class="search-result-subtitle">' + escapeHtml(entry.subtitle) + '</div>'
+  function renderResult(result, optionIndex) {
+    var label = typeLabels[result.type] || result.type;
+    var badgeClass = 'search-result-type search-result-type--' + result.type.replace(/\s+/g, '-');
+    var subtitleHtml = result.subtitle
+      ? '<div class="search-result-subtitle">' + escapeHtml(result.subtitle) + '</div>'
       : '';
     var snippetHtml = '';
 
-    if (showSnippet) {
-      snippetHtml = '<div class="search-result-snippet">' + getSnippet(entry.content, query) + '</div>';
+    if (result.snippet) {
+      snippetHtml = '<div class="search-result-snippet">' + getSnippet(result.snippet) + '</div>';
     }
 
-    return '<a href="' + escapeHtml(entry.url) + '" class="search-result-item">' +
+    return '<a href="' + escapeHtml(siteUrl(result.url)) + '" class="search-result-item"' +
+      ' id="search-result-' + optionIndex + '" role="option" aria-selected="false" tabindex="-1">' +
       '<div class="search-result-body">' +
-        '<span class="search-result-title">' + escapeHtml(entry.title) + '</span>' +
+        '<span class="search-result-title">' + escapeHtml(result.title) + '</span>' +
         subtitleHtml +
         snippetHtml +
       '</div>' +
@@ -185,120 +570,192 @@
   }
 
   /**
-   * Extract a snippet around the match with highlighting
+   * Render snippet parts from the engine with the match highlighted
+   */
+  function getSnippet(parts) {
+    var prefix = parts.truncatedStart ? '...' : '';
+    var suffix = parts.truncatedEnd ? '...' : '';
+
+    return prefix + escapeHtml(parts.before) + '<mark>' + escapeHtml(parts.match) + '</mark>' + escapeHtml(parts.after) + suffix;
+  }
+
+  /**
+   * Collect the match ranges of every free-text term in a string, sorted and
+   * with overlaps merged
+   */
+  function matchRanges(text, terms) {
+    var ranges = [];
+    terms.forEach(function(term) {
+      ranges = ranges.concat(core.findAllMatches(text, term.prepared));
+    });
+    ranges.sort(function(a, b) { return a.start - b.start; });
+
+    var merged = [];
+    ranges.forEach(function(range) {
+      var last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Wrap the free-text matches of a query in <mark> inside an element,
+   * text node by text node so links and spans keep their structure
    */
-  function getSnippet(content, query) {
-    var lower = content.toLowerCase();
-    var idx = lower.indexOf(query.toLowerCase());
-    if (idx === -1) return '';
+  function highlightMatches(el, query) {
+    var terms = query.terms.filter(function(term) { return !term.field && !term.negate; });
+    if (terms.length === 0) return;
+
+    var walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    var textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
 
-    var contextChars = 80;
-    var start = Math.max(0, idx - contextChars);
-    var end = Math.min(content.length, idx + query.length + contextChars);
+    var marked = false;
+    textNodes.forEach(function(node) {
+      var text = node.nodeValue;
+      var ranges = matchRanges(text, terms);
+      if (ranges.length === 0) return;
 
-    var before = content.slice(start, idx);
-    var match = content.slice(idx, idx + query.length);
-    var after = content.slice(idx + query.length, end);
+      var fragment = document.createDocumentFragment();
+      var pos = 0;
+      ranges.forEach(function(range) {
+        if (range.start > pos) fragment.appendChild(document.createTextNode(text.slice(pos, range.start)));
+        var mark = document.createElement('mark');
+        mark.className = 'search-match';
+        mark.textContent = text.slice(range.start, range.end);
+        fragment.appendChild(mark);
+        pos = range.end;
+      });
+      if (pos < text.length) fragment.appendChild(document.createTextNode(text.slice(pos)));
+      node.parentNode.replaceChild(fragment, node);
+      marked = true;
+    });
 
-    var prefix = start > 0 ? '...' : '';
-    var suffix = end < content.length ? '...' : '';
+    if (marked) highlightedElements.push(el);
+  }
 
-    return prefix + escapeHtml(before) + '<mark>' + escapeHtml(match) + '</mark>' + escapeHtml(after) + suffix;
+  /**
+   * Unwrap every <mark> added by highlightMatches, restoring the original text nodes
+   */
+  function clearHighlights() {
+    highlightedElements.forEach(function(el) {
+      el.querySelectorAll('mark.search-match').forEach(function(mark) {
+        mark.parentNode.replaceChild(document.createTextNode(mark.textContent), mark);
+      });
+      el.normalize();
+    });
+    highlightedElements = [];
   }
 
   /**
    * Filter all searchable content
    */
-  function filterContent(query) {
+  function filterContent(input) {
     var items = getSearchableItems();
-    var trimmedQuery = query.trim();
+    var query = parseQuery(input);
+
+    showQueryHints(query.hints);
+    clearHighlights();
 
     // If empty query, show everything
-    if (!trimmedQuery) {
+    if (query.isEmpty) {
       resetAll(items);
       updateResultsCount(null);
-      searchContentIndex('');
+      searchContentIndex(null);
+      notifyFiltered(query);
       return;
     }
 
-    var totalVisible = 0;
+    // Visible list items per index entry type; trip items count only unfaceted
+    var visibleCounts = { 'artist': 0, 'artwork': 0, 'location': 0, 'bible story': 0, 'term': 0, 'trip': 0 };
+
+    function isMatch(record) {
+      return matchRecord(record, query, false) !== MATCH_NONE;
+    }
+
+    // Show a list item or not, marking why it matched when shown
+    function show(el, visible) {
+      setVisible(el, visible);
+      if (visible) highlightMatches(el, query);
+    }
 
     // Filter artists
     items.artists.forEach(function(li) {
-      var text = li.textContent;
-      var visible = matches(text, trimmedQuery);
-      setVisible(li, visible);
-      if (visible) totalVisible++;
+      var visible = isMatch(listItemRecord(li, 'artist'));
+      show(li, visible);
+      if (visible) visibleCounts.artist++;
     });
 
     // Filter artworks
     items.artworks.forEach(function(li) {
-      var text = li.textContent;
-      var visible = matches(text, trimmedQuery);
-      setVisible(li, visible);
-      if (visible) totalVisible++;
+      var visible = isMatch(listItemRecord(li, 'artwork'));
+      show(li, visible);
+      if (visible) visibleCounts.artwork++;
     });
 
-    // Filter locations (and their city headers)
-    items.locationHeaders.forEach(function(header) {
-      // Get the location list that follows this header
-      var locationList = header.nextElementSibling;
-      if (!locationList || !locationList.classList.contains('location-list')) return;
+    // Filter locations (and their city headers). A list's city is the <h3>
+    // before it; items of the flattened (ungrouped) list carry data-city
+    items.locationLists.forEach(function(locationList) {
+      var header = locationList.previousElementSibling;
+      if (header && header.tagName !== 'H3') header = null;
 
       var locationItems = locationList.querySelectorAll('li');
       var cityHasVisibleLocations = false;
 
-      // Check if city name matches
-      var cityMatches = matches(header.textContent, trimmedQuery);
-
+      // The city name counts as part of each location's text
       locationItems.forEach(function(li) {
-        var locationMatches = matches(li.textContent, trimmedQuery);
-        var visible = cityMatches || locationMatches;
-        setVisible(li, visible);
+        var city = li.dataset.city || (header ? header.textContent : '');
+        var visible = isMatch(listItemRecord(li, 'location', city));
+        show(li, visible);
         if (visible) {
           cityHasVisibleLocations = true;
-          totalVisible++;
+          visibleCounts.location++;
         }
       });
 
       // Show/hide the city header based on whether any locations are visible
-      setVisible(header, cityHasVisibleLocations);
+      if (header) show(header, cityHasVisibleLocations);
       setVisible(locationList, cityHasVisibleLocations);
     });
 
     // Filter bible stories
     items.bibleStories.forEach(function(li) {
-      var text = li.textContent;
-      var visible = matches(text, trimmedQuery);
-      setVisible(li, visible);
-      if (visible) totalVisible++;
+      var visible = isMatch(listItemRecord(li, 'bible story'));
+      show(li, visible);
+      if (visible) visibleCounts['bible story']++;
     });
 
     // Filter terms (by category name, term name, or definition)
     items.termsCategories.forEach(function(catEl) {
       var catHeader = catEl.querySelector('h3');
-      var catMatches = catHeader ? matches(catHeader.textContent, trimmedQuery) : false;
+      var catName = catHeader ? catHeader.textContent : '';
       var termItems = catEl.querySelectorAll('.term-item');
       var catHasVisible = false;
 
       termItems.forEach(function(termEl) {
-        var termMatches = matches(termEl.textContent, trimmedQuery);
-        var visible = catMatches || termMatches;
-        setVisible(termEl, visible);
+        var termName = termEl.querySelector('dt');
+        var record = makeRecord('term', termName ? termName.textContent : '', termEl.textContent + ' ' + catName);
+        var visible = isMatch(record);
+        show(termEl, visible);
         if (visible) {
           catHasVisible = true;
-          totalVisible++;
+          visibleCounts.term++;
         }
       });
 
       setVisible(catEl, catHasVisible);
+      if (catHasVisible && catHeader) highlightMatches(catHeader, query);
     });
 
     // Filter trip days and locations
     items.tripDays.forEach(function(dayEl) {
       var dayLabel = dayEl.querySelector('.trip-day-label');
       var dayLabelText = dayLabel ? dayLabel.value || dayLabel.textContent : '';
-      var dayMatches = matches(dayLabelText, trimmedQuery);
+      var dayMatches = isMatch(makeRecord('trip', dayLabelText, dayLabelText));
 
       var locationItems = dayEl.querySelectorAll('.trip-location-item');
       var hasVisibleLocation = false;
@@ -315,17 +772,17 @@
           locTime ? locTime.textContent : ''
         ].join(' ');
 
-        var locMatches = matches(searchText, trimmedQuery);
+        var locMatches = isMatch(makeRecord('trip', searchText, searchText));
 
         if (locMatches) {
           hasVisibleLocation = true;
           locEl.classList.remove('search-hidden');
           locEl.classList.add('trip-location-highlight');
-          totalVisible++;
+          visibleCounts.trip++;
         } else if (dayMatches) {
           // Day matches, show location but don't highlight
           locEl.classList.remove('search-hidden', 'trip-location-highlight');
-          totalVisible++;
+          visibleCounts.trip++;
         } else {
           locEl.classList.add('search-hidden');
           locEl.classList.remove('trip-location-highlight');
@@ -340,10 +797,27 @@
       }
     });
 
-    updateResultsCount(totalVisible);
+    updateResultsCount(visibleCounts);
 
     // Content search
-    searchContentIndex(trimmedQuery);
+    searchContentIndex(query);
+    notifyFiltered(query);
+  }
+
+  /**
+   * Let other index page scripts (timeline, map) follow the list filtering
+   */
+  function notifyFiltered(query) {
+    document.dispatchEvent(new CustomEvent('search-filtered', { detail: { query: query } }));
+  }
+
+  /**
+   * Share the content index matches with other scripts (the map). Each
+   * result has type, url and title; results is null when no content search
+   * is active (empty or one-letter query), which listeners treat as cleared.
+   */
+  function notifyResults(query, results) {
+    document.dispatchEvent(new CustomEvent('search-results', { detail: { query: query, results: results } }));
   }
 
   /**
@@ -364,25 +838,58 @@
     });
   }
 
+  /**
+   * Run a search: filter the index tab lists (index page) or just query the
+   * content index (overlay)
+   */
+  function runSearch(input) {
+    if (isIndexPage) {
+      filterContent(input);
+      return;
+    }
+    var query = parseQuery(input);
+    showQueryHints(query.hints);
+    searchContentIndex(query);
+  }
+
   /**
    * Update results count display
    */
-  function updateResultsCount(count) {
-    if (count === null) {
+  function updateResultsCount(counts) {
+    lastVisibleCounts = counts;
+    if (!resultsCount) return;
+    if (counts === null) {
       resultsCount.hidden = true;
       return;
     }
 
+    // With facets active, only list items of the selected types count
+    var types = activeFacets.length > 0 ? activeFacets : Object.keys(counts);
+    var count = types.reduce(function(sum, type) { return sum + (counts[type] || 0); }, 0);
+    var suffix = activeFacets.length > 0
+      ? ' in ' + activeFacets.map(function(type) { return typeLabels[type]; }).join(', ')
+      : '';
+
     resultsCount.hidden = false;
     if (count === 0) {
-      resultsCount.textContent = 'No results found';
+      resultsCount.textContent = 'No results found' + suffix;
     } else if (count === 1) {
-      resultsCount.textContent = '1 result';
+      resultsCount.textContent = '1 result' + suffix;
     } else {
-      resultsCount.textContent = count + ' results';
+      resultsCount.textContent = count + ' results' + suffix;
     }
   }
 
+  /**
+   * Show hints about query terms that were ignored
+   */
+  function showQueryHints(hints) {
+    if (!queryHint) return;
+    var messages = contentSearchFailed ? hints.concat(CONTENT_SEARCH_UNAVAILABLE) : hints;
+    queryHint.textContent = messages.join(' · ');
+    queryHint.hidden = messages.length === 0;
+  }
+
   /**
    * Update clear button visibility
    */
@@ -390,40 +897,135 @@
     clearButton.hidden = !searchInput.value;
   }
 
+  /**
+   * Sync the query to the ?q= URL parameter, keeping ?tab= and the hash
+   */
+  function updateQueryParam(query) {
+    const url = new URL(window.location);
+    const trimmed = query.trim();
+    if (trimmed) {
+      url.searchParams.set('q', trimmed);
+    } else {
+      url.searchParams.delete('q');
+    }
+    history.replaceState(history.state, '', url);
+  }
+
   /**
    * Clear search and reset
    */
   function clearSearch() {
     searchInput.value = '';
-    filterContent('');
+    activeFacets = [];
+    runSearch('');
     updateClearButton();
+    if (isIndexPage) updateQueryParam('');
     searchInput.focus();
   }
 
   // Debounced search handler
   var debouncedFilter = debounce(function() {
-    filterContent(searchInput.value);
+    runSearch(searchInput.value);
     updateClearButton();
+    if (isIndexPage) updateQueryParam(searchInput.value);
   }, 150);
 
+  /**
+   * Show the query held in the URL's ?q=, for shared links and for
+   * Back/Forward between entries with different queries
+   */
+  function restoreQueryParam() {
+    const query = new URLSearchParams(window.location.search).get('q') || '';
+    if (query === searchInput.value.trim()) return;
+    // A query still waiting to be typed in would overwrite the URL again
+    clearTimeout(debounceTimer);
+    searchInput.value = query;
+    filterContent(query);
+    updateClearButton();
+  }
+
+  // Restore after sort.js has set up list sorting, filters and grouping
+  // (its DOMContentLoaded handlers run first, being registered first)
+  if (isIndexPage) {
+    document.addEventListener('DOMContentLoaded', restoreQueryParam);
+    window.addEventListener('popstate', restoreQueryParam);
+  }
+
   // Event listeners
   searchInput.addEventListener('input', debouncedFilter);
 
+  // Combobox keyboard model: arrows move through results, Enter opens the
+  // active one, Escape closes the panel, then clears the search (index page)
+  // or closes the overlay
   searchInput.addEventListener('keydown', function(e) {
-    if (e.key === 'Escape') {
-      clearSearch();
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        moveActiveResult(1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        moveActiveResult(-1);
+        break;
+      case 'Enter':
+        var active = getResultOptions()[activeResultIndex];
+        if (active && !resultsPanel.hidden) {
+          e.preventDefault();
+          window.location.href = active.href;
+        }
+        break;
+      case 'Escape':
+        // Keep the browser from clearing the type="search" input itself
+        e.preventDefault();
+        if (!resultsPanel.hidden) {
+          closeResultsPanel();
+        } else if (overlay) {
+          closeOverlay();
+        } else {
+          clearSearch();
+        }
+        break;
     }
   });
 
   clearButton.addEventListener('click', clearSearch);
 
-  // Re-evaluate search results panel when tab changes
-  document.querySelectorAll('.tab-btn').forEach(function(btn) {
-    btn.addEventListener('click', function() {
-      if (searchInput.value.trim()) {
-        searchContentIndex(searchInput.value.trim());
+  if (facetBar) {
+    facetBar.addEventListener('click', function(e) {
+      var chip = e.target.closest('.search-facet');
+      if (chip) toggleFacet(chip.dataset.type);
+    });
+  }
+
+  // "/" opens search from anywhere unless the user is already typing
+  document.addEventListener('keydown', function(e) {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+    var target = e.target;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+
+    e.preventDefault();
+    if (overlay) {
+      openOverlay();
+    } else {
+      searchInput.focus();
+      searchInput.select();
+    }
+  });
+
+  if (overlay) {
+    // Keep focus inside the open dialog
+    document.addEventListener('focusin', function(e) {
+      if (!overlay.hidden && !overlay.contains(e.target)) {
+        searchInput.focus();
       }
     });
+  }
+
+  // Re-evaluate search results panel when tab changes
+  document.addEventListener('tab-shown', function() {
+    if (searchInput.value.trim()) {
+      searchContentIndex(parseQuery(searchInput.value));
+    }
   });
 
   // Re-apply filter when trip tab content changes (after render)
@@ -433,4 +1035,11 @@
       filterContent(searchInput.value);
     }
   });
+
+  // Re-apply filter when sort.js moves locations between city lists
+  document.addEventListener('lists-regrouped', function() {
+    if (searchInput.value.trim()) {
+      filterContent(searchInput.value);
+    }
+  });
 })();
@@ -1,69 +1,303 @@
 /**
- * Client-side sorting for artwork grids
+ * Client-side sorting, filtering, grouping and timeline view for artwork grids
  */
 
 /**
- * Parse date strings into comparable numbers
- * Handles: "1423", "c. 1427", "1334–1343", "1440s", etc.
- * Returns Infinity for unparseable dates (sorts last)
+ * Qualifiers that narrow a century to part of it, as [from, to] offsets
+ * into its 100 years (applied in chronological order, so also for BC)
  */
-function parseDate(dateStr) {
-  if (!dateStr) return Infinity;
+const CENTURY_PARTS = {
+  'early': [0, 32],
+  'mid': [33, 66],
+  'late': [67, 99],
+  'first half': [0, 49],
+  'second half': [50, 99]
+};
+
+/**
+ * Words that mark a date as uncertain
+ */
+const APPROXIMATE_PATTERN = /\b(c\.|ca\.|circa|possibly|probably|uncertain|before|after|early|mid|late|half)(?=\W|$)/i;
+
+/**
+ * Parse one side of a date range ("Early 3rd century BC", "c. AD 64", "1480s").
+ * Returns { start, end, era, century } with unsigned years (century is the
+ * century number, or 0 for plain years), or null.
+ * allowShortYears permits 1-2 digit years (only when an era is present, so
+ * "August 5, 1473" still reads as 1473).
+ */
+function parseDatePoint(text, allowShortYears) {
+  const era = /\b(BCE?|B\.C\.)(?=\W|$)/i.test(text) ? 'BC'
+    : /\b(AD|CE|A\.D\.)(?=\W|$)/i.test(text) ? 'AD'
+    : null;
+
+  const century = text.match(/\b(\d{1,2})(?:st|nd|rd|th)\b/i);
+  if (century) {
+    const n = parseInt(century[1], 10);
+    const qualifier = text.toLowerCase().match(/\b(first half|second half|early|mid|late)\b/);
+    const part = CENTURY_PARTS[qualifier ? qualifier[1] : ''] || [0, 99];
+    return { start: (n - 1) * 100 + 1 + part[0], end: (n - 1) * 100 + 1 + part[1], era: era, century: n };
+  }
+
+  const decade = text.match(/\b(\d{3})0s\b/);
+  if (decade) {
+    const year = parseInt(decade[1] + '0', 10);
+    return { start: year, end: year + 9, era: era, century: 0 };
+  }
 
-  // Remove "c.", "ca.", "circa" prefix
-  const cleaned = dateStr.replace(/^(c\.|ca\.|circa)\s*/i, '').trim();
+  const year = text.match(/\b\d{3,4}\b/) || (allowShortYears ? text.match(/\b\d{1,2}\b/) : null);
+  if (year) {
+    const value = parseInt(year[0], 10);
+    return { start: value, end: value, era: era, century: 0 };
+  }
 
-  // Match first 4-digit year
-  const match = cleaned.match(/\d{4}/);
-  if (match) {
-    return parseInt(match[0], 10);
+  return null;
+}
+
+/**
+ * Convert an unsigned year span to signed years (BC negative) in
+ * chronological order
+ */
+function signedSpan(point, era) {
+  if (era !== 'BC') return { start: point.start, end: point.end };
+  // The 3rd century BC runs from 300 BC down to 201 BC, so its early part
+  // is its earliest years
+  if (point.century) {
+    const first = (point.century - 1) * 100 + 1;
+    const base = -point.century * 100;
+    return { start: base + point.start - first, end: base + point.end - first };
   }
+  return { start: -point.end, end: -point.start };
+}
+
+/**
+ * Parse a single date phrase without alternatives ("c. 30-10 BC",
+ * "1st century BC - 1st century AD", "Before 79 AD").
+ * Returns { start, end, approximate } or null.
+ */
+function parseDatePhrase(text) {
+  const normalized = text
+    .replace(/\bmid-/gi, 'mid ')
+    .replace(/(\d(?:st|nd|rd|th))-century\b/gi, '$1 century')
+    .replace(/\b(BC|AD)(?=\d)/g, '$1 ');
 
-  // Handle decade format like "1440s"
-  const decadeMatch = cleaned.match(/(\d{3})0s/);
-  if (decadeMatch) {
-    return parseInt(decadeMatch[1] + '0', 10);
+  const hasEra = /\b(BCE?|AD|CE|B\.C\.|A\.D\.)(?=\W|$)/i.test(normalized);
+  const sides = normalized.split(/\s*[–—-]\s*|\s+to\s+/);
+  const from = parseDatePoint(sides[0], hasEra);
+  const to = sides.length > 1 ? parseDatePoint(sides[sides.length - 1], hasEra) : from;
+  if (!from && !to) return null;
+
+  // "c. 30-10 BC", "c. AD 64-68": a side without an era borrows the other side's
+  const era = (from && from.era) || (to && to.era);
+  const startSpan = signedSpan(from || to, (from && from.era) || era);
+  const endSpan = signedSpan(to || from, (to && to.era) || era);
+  const span = {
+    start: Math.min(startSpan.start, endSpan.start),
+    end: Math.max(startSpan.end, endSpan.end)
+  };
+
+  return {
+    start: span.start,
+    end: span.end,
+    approximate: APPROXIMATE_PATTERN.test(text)
+  };
+}
+
+/**
+ * Parse date strings into year ranges
+ * Handles: "1423", "c. 1427", "1334–1343", "1440s", "15th century",
+ * "Early 16th century", "First half of 15th century", "29 BC", "c. AD 80",
+ * "7th-6th century BC", "1st century BC - 1st century AD", "Before 79 AD",
+ * and notes such as "179 BC (original); 34 BC (rebuilt ...)", where the
+ * first dated alternative wins.
+ * Years BC are negative. "Before"/"after" dates keep the named year and are
+ * marked approximate.
+ * Returns { start, end, approximate }, or null for unparseable dates.
+ */
+function parseDate(dateStr) {
+  if (!dateStr) return null;
+
+  // Alternatives are separated by ";" or " / "; parenthetical notes are a
+  // fallback for phrases like "Various (6th-14th century)"
+  const phrases = dateStr.split(/;|\s\/\s/);
+  for (const phrase of phrases) {
+    const range = parseDatePhrase(phrase.replace(/\([^)]*\)/g, ' ')) ||
+      parseDatePhrase(phrase.replace(/[()]/g, ' '));
+    if (range) return range;
   }
+  return null;
+}
+
+/**
+ * Compare two date strings by range midpoint, then start; unknown dates last
+ */
+function compareDates(aStr, bStr) {
+  const a = parseDate(aStr);
+  const b = parseDate(bStr);
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  return (a.start + a.end) / 2 - (b.start + b.end) / 2 || a.start - b.start;
+}
+
+/**
+ * Sort key comparators: each compares two cards ascending
+ */
+const SORT_KEYS = {
+  date: (a, b) => compareDates(a.dataset.date, b.dataset.date),
+  title: (a, b) => compareText(a.dataset.title, b.dataset.title),
+  artist: (a, b) => compareText(a.dataset.artist, b.dataset.artist),
+  medium: (a, b) => compareText(cardMedium(a), cardMedium(b)),
+  // Researched first when ascending
+  researched: (a, b) => isResearched(b) - isResearched(a)
+};
+
+/**
+ * Secondary keys used, in order, when the primary key ties
+ */
+const SORT_TIE_BREAKERS = {
+  date: ['title'],
+  title: ['date'],
+  artist: ['date', 'title'],
+  medium: ['date', 'title'],
+  researched: ['date', 'title']
+};
+
+/**
+ * localStorage key for the chosen sort, stored per page type
+ */
+const SORT_STORAGE_KEY = 'italian-art-sort';
+
+/**
+ * Original document position of each card or list item, the final tie-breaker
+ */
+const originalOrder = new WeakMap();
+
+/**
+ * Compare optional strings case-insensitively, empty values last
+ */
+function compareText(a, b) {
+  const aVal = (a || '').toLowerCase();
+  const bVal = (b || '').toLowerCase();
+  if (!aVal || !bVal) return (aVal ? 0 : 1) - (bVal ? 0 : 1);
+  return aVal.localeCompare(bVal);
+}
+
+/**
+ * Whether a card carries the "Self-researched" badge
+ */
+function isResearched(card) {
+  return card.querySelector('.badge-researched') ? 1 : 0;
+}
 
-  return Infinity;
+/**
+ * Whether a card has no value for a sort key (kept last in either direction)
+ */
+function lacksSortValue(card, sortBy) {
+  switch (sortBy) {
+    case 'date': return !parseDate(card.dataset.date);
+    case 'title': return !card.dataset.title;
+    case 'artist': return !card.dataset.artist;
+    case 'medium': return !cardMedium(card);
+    default: return false;
+  }
 }
 
 /**
  * Sort artwork cards within a grid
+ * direction is 'asc' (default) or 'desc'; ties fall back to the key's
+ * tie-breakers (always ascending), then to the original page order.
  */
-function sortArtworks(grid, sortBy) {
+function sortArtworks(grid, sortBy, direction) {
   const cards = Array.from(grid.querySelectorAll('.artwork-card'));
+  if (!SORT_KEYS[sortBy]) return;
+
+  cards.forEach((card, index) => {
+    if (!originalOrder.has(card)) originalOrder.set(card, index);
+  });
+
+  const sign = direction === 'desc' ? -1 : 1;
 
   cards.sort((a, b) => {
-    let aVal, bVal;
-
-    switch (sortBy) {
-      case 'date':
-        aVal = parseDate(a.dataset.date);
-        bVal = parseDate(b.dataset.date);
-        return aVal - bVal;
-
-      case 'title':
-        aVal = (a.dataset.title || '').toLowerCase();
-        bVal = (b.dataset.title || '').toLowerCase();
-        return aVal.localeCompare(bVal);
-
-      case 'artist':
-        aVal = (a.dataset.artist || '').toLowerCase();
-        bVal = (b.dataset.artist || '').toLowerCase();
-        return aVal.localeCompare(bVal);
-
-      default:
-        return 0;
+    const aMissing = lacksSortValue(a, sortBy);
+    const bMissing = lacksSortValue(b, sortBy);
+    if (aMissing !== bMissing) return aMissing ? 1 : -1;
+
+    const primary = aMissing ? 0 : SORT_KEYS[sortBy](a, b) * sign;
+    if (primary) return primary;
+
+    for (const key of SORT_TIE_BREAKERS[sortBy]) {
+      const result = SORT_KEYS[key](a, b);
+      if (result) return result;
     }
+    return originalOrder.get(a) - originalOrder.get(b);
   });
 
   // Re-append cards in sorted order
   cards.forEach(card => grid.appendChild(card));
+
+  // Keep any grouping; cards stay in sorted order within their group
+  if (grid.dataset.groupBy) groupArtworks(grid, grid.dataset.groupBy);
+}
+
+/**
+ * Page type used to remember the sort: "locations", "artists", "biblestories"
+ */
+function sortPageType() {
+  const parts = window.location.pathname.split('/');
+  return parts.length > 1 ? parts[parts.length - 2] : '';
+}
+
+/**
+ * Read the sort saved for a page type, or null
+ */
+function loadSavedSort(pageType) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY) || '{}');
+    return saved[pageType] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remember the sort for a page type
+ */
+function saveSort(pageType, sort) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY) || '{}');
+    saved[pageType] = sort;
+    localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.warn('Could not save sort preference:', e);
+  }
+}
+
+/**
+ * Mark the active sort button and its direction
+ */
+function markSortButton(buttons, btn, direction) {
+  buttons.forEach(b => {
+    b.classList.remove('active');
+    b.removeAttribute('data-direction');
+    b.setAttribute('aria-pressed', 'false');
+  });
+  btn.classList.add('active');
+  btn.dataset.direction = direction;
+  btn.setAttribute('aria-pressed', 'true');
+  btn.title = direction === 'desc' ? 'Sorted descending; click to sort ascending' : 'Sorted ascending; click to sort descending';
+}
+
+/**
+ * Direction after clicking a sort button: the one last sorted by reverses.
+ * A button only marked active in the markup has no direction yet.
+ */
+function nextSortDirection(btn) {
+  return btn.classList.contains('active') && btn.dataset.direction === 'asc' ? 'desc' : 'asc';
 }
 
 /**
  * Initialize sorting controls
+ * Clicking the active button reverses the direction. The choice is kept
+ * in the URL (?sort=&dir=) and in localStorage per page type; the URL wins.
  */
 function initSorting() {
   const controls = document.querySelector('.sort-controls');
@@ -72,19 +306,827 @@ function initSorting() {
   const grid = document.querySelector('.artwork-grid');
   if (!grid) return;
 
-  const buttons = controls.querySelectorAll('.sort-btn');
+  const buttons = Array.from(controls.querySelectorAll('.sort-btn'));
+  const pageType = sortPageType();
+  const findButton = key => buttons.find(b => b.dataset.sort === key);
+
+  function applySort(btn, direction, remember) {
+    markSortButton(buttons, btn, direction);
+    sortArtworks(grid, btn.dataset.sort, direction);
+    if (!remember) return;
+
+    saveSort(pageType, { key: btn.dataset.sort, direction: direction });
+    const url = new URL(window.location);
+    url.searchParams.set('sort', btn.dataset.sort);
+    url.searchParams.set('dir', direction);
+    history.replaceState(history.state, '', url);
+  }
 
   buttons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      // Update active state
-      buttons.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
+    btn.setAttribute('aria-pressed', 'false');
+    btn.addEventListener('click', () => applySort(btn, nextSortDirection(btn), true));
+  });
+
+  // Restore: URL first, then the saved choice for this page type
+  const params = new URLSearchParams(window.location.search);
+  const saved = loadSavedSort(pageType);
+  const initial = params.get('sort')
+    ? { key: params.get('sort'), direction: params.get('dir') }
+    : saved;
+  const initialButton = initial && findButton(initial.key);
+
+  // Otherwise the grid keeps its authored order until a button is clicked
+  if (initialButton) {
+    applySort(initialButton, initial.direction === 'desc' ? 'desc' : 'asc', false);
+  }
+}
+
+/**
+ * Sort keys for index page list items, comparing ascending
+ */
+const LIST_SORT_KEYS = {
+  name: {
+    label: 'Name',
+    compare: (a, b) => compareText(listItemText(a, 'a'), listItemText(b, 'a'))
+  },
+  date: {
+    label: 'Date',
+    compare: (a, b) => compareDates(listItemText(a, '.artwork-date'), listItemText(b, '.artwork-date')),
+    missing: li => !parseDate(listItemText(li, '.artwork-date'))
+  },
+  artist: {
+    label: 'Artist',
+    compare: (a, b) => compareText(listItemText(a, '.artwork-artist'), listItemText(b, '.artwork-artist')),
+    missing: li => !listItemText(li, '.artwork-artist')
+  },
+  // Most artworks first when ascending
+  count: {
+    label: 'Artworks',
+    compare: (a, b) => listItemCount(b) - listItemCount(a)
+  },
+  // Nearest first when ascending. Distances are written onto the items by
+  // nearby.js once the visitor's position is known; cities are flattened
+  // so the whole list is in distance order. Offered wherever nearby.js is
+  // loaded, since a position may be mocked or granted later.
+  distance: {
+    label: 'Distance',
+    compare: (a, b) => listItemDistance(a) - listItemDistance(b),
+    missing: li => listItemDistance(li) === null,
+    available: () => typeof window !== 'undefined' && !!window.NearMe,
+    flat: true
+  }
+};
+
+/**
+ * Secondary list keys used, in order, when the primary key ties
+ */
+const LIST_TIE_BREAKERS = {
+  name: [],
+  date: ['name'],
+  artist: ['date', 'name'],
+  count: ['name'],
+  distance: ['name']
+};
+
+/**
+ * Index page lists and the keys they can be sorted by
+ */
+const INDEX_LISTS = [
+  { tab: 'artists', list: '.artist-list', keys: ['name', 'count'] },
+  { tab: 'artworks', list: '.artworks-list', keys: ['name', 'date', 'artist'] },
+  { tab: 'locations', list: '.location-list', keys: ['name', 'count', 'distance'], cities: true },
+  { tab: 'biblestories', list: '.bible-stories-list', keys: ['name'] }
+];
+
+/**
+ * Text of a list item part, or ''
+ */
+function listItemText(li, selector) {
+  const el = li.querySelector(selector);
+  return el ? el.textContent.trim() : '';
+}
+
+/**
+ * Artwork count of a list item (0 when it has no .artwork-count)
+ */
+function listItemCount(li) {
+  return parseInt(listItemText(li, '.artwork-count'), 10) || 0;
+}
+
+/**
+ * Distance (km) of a list item from the visitor, or null if not known
+ */
+function listItemDistance(li) {
+  return li.dataset.distance ? parseFloat(li.dataset.distance) : null;
+}
+
+/**
+ * Sort the items of one index list in place. Items hidden by search keep
+ * their search-hidden class and simply move with the rest.
+ */
+function sortListItems(list, sortBy, direction) {
+  const key = LIST_SORT_KEYS[sortBy];
+  if (!key) return;
+
+  const sign = direction === 'desc' ? -1 : 1;
+  const items = Array.from(list.children).filter(el => el.tagName === 'LI');
+
+  items.sort((a, b) => {
+    const aMissing = key.missing ? key.missing(a) : false;
+    const bMissing = key.missing ? key.missing(b) : false;
+    if (aMissing !== bMissing) return aMissing ? 1 : -1;
 
-      // Sort the grid
-      sortArtworks(grid, btn.dataset.sort);
+    const primary = aMissing ? 0 : key.compare(a, b) * sign;
+    if (primary) return primary;
+
+    for (const tie of LIST_TIE_BREAKERS[sortBy]) {
+      const result = LIST_SORT_KEYS[tie].compare(a, b);
+      if (result) return result;
+    }
+    return originalOrder.get(a) - originalOrder.get(b);
+  });
+
+  items.forEach(li => list.appendChild(li));
+}
+
+/**
+ * Move locations between their city lists and one flat list.
+ * Each item remembers its city list (and city name, for search) on the way out.
+ */
+function setCityGrouping(panel, flatList, grouped) {
+  const cityLists = Array.from(panel.querySelectorAll('.location-list')).filter(list => list !== flatList);
+
+  if (grouped) {
+    Array.from(flatList.children).forEach(li => {
+      const home = cityLists[parseInt(li.dataset.cityList, 10)];
+      if (home) home.appendChild(li);
+      delete li.dataset.city;
+    });
+  } else {
+    cityLists.forEach((list, index) => {
+      const header = list.previousElementSibling;
+      Array.from(list.children).forEach(li => {
+        li.dataset.cityList = index;
+        li.dataset.city = header && header.tagName === 'H3' ? header.textContent : '';
+        flatList.appendChild(li);
+      });
+    });
+  }
+
+  flatList.hidden = grouped;
+  cityLists.forEach(list => {
+    list.hidden = !grouped;
+    const header = list.previousElementSibling;
+    if (header && header.tagName === 'H3') header.hidden = !grouped;
+  });
+}
+
+/**
+ * Add sort controls to the index tab lists
+ */
+function initListSorting() {
+  INDEX_LISTS.forEach(config => {
+    const panel = document.querySelector('.tab-panel[data-tab="' + config.tab + '"]');
+    const lists = panel ? Array.from(panel.querySelectorAll(config.list)) : [];
+    if (lists.length === 0) return;
+
+    // Remember document order across all of the tab's lists for tie-breaking
+    let position = 0;
+    lists.forEach(list => {
+      list.querySelectorAll('li').forEach(li => originalOrder.set(li, position++));
+    });
+
+    // Keys such as distance depend on other scripts
+    const keys = config.keys.filter(key => !LIST_SORT_KEYS[key].available || LIST_SORT_KEYS[key].available());
+
+    const controls = document.createElement('div');
+    controls.className = 'sort-controls';
+    controls.innerHTML = '<span>Sort by:</span>' + keys.map((key, index) =>
+      '<button class="sort-btn' + (index === 0 ? ' active' : '') + '" data-sort="' + key + '">' +
+        LIST_SORT_KEYS[key].label +
+      '</button>'
+    ).join('');
+    panel.insertBefore(controls, panel.firstChild);
+
+    const buttons = Array.from(controls.querySelectorAll('.sort-btn'));
+    let flatList = null;
+    let cityToggle = null;
+    let current = { key: keys[0], direction: 'asc' };
+
+    function applySort() {
+      const targets = flatList && !flatList.hidden ? [flatList] : lists;
+      targets.forEach(list => sortListItems(list, current.key, current.direction));
+    }
+
+    buttons.forEach(btn => {
+      btn.setAttribute('aria-pressed', 'false');
+      btn.addEventListener('click', () => {
+        current = { key: btn.dataset.sort, direction: nextSortDirection(btn) };
+        markSortButton(buttons, btn, current.direction);
+        if (current.key === 'distance') {
+          window.NearMe.locate(config.tab);
+        } else if (keys.includes('distance')) {
+          window.NearMe.stop(config.tab);
+        }
+        if (LIST_SORT_KEYS[current.key].flat && cityToggle && cityToggle.checked) {
+          // Sorts on the change event
+          cityToggle.click();
+        } else {
+          applySort();
+        }
+      });
     });
+    markSortButton(buttons, buttons[0], 'asc');
+
+    // Re-sort as the visitor moves, following the position only while the tab is shown
+    if (keys.includes('distance')) {
+      document.addEventListener('position-changed', () => {
+        if (current.key === 'distance') applySort();
+      });
+      document.addEventListener('tab-shown', e => {
+        if (e.detail.tab === config.tab && current.key === 'distance') window.NearMe.locate(config.tab);
+      });
+      document.addEventListener('tab-hidden', e => {
+        if (e.detail.tab === config.tab) window.NearMe.stop(config.tab);
+      });
+    }
+
+    // Locations can be kept under their cities or flattened into one list
+    if (config.cities) {
+      flatList = document.createElement('ul');
+      flatList.className = 'location-list location-list--flat';
+      flatList.hidden = true;
+      controls.parentNode.insertBefore(flatList, controls.nextSibling);
+
+      const label = document.createElement('label');
+      label.className = 'group-by';
+      label.innerHTML = '<input type="checkbox" class="city-group-toggle" checked> <span>Group by city</span>';
+      controls.appendChild(label);
+      cityToggle = label.querySelector('input');
+
+      cityToggle.addEventListener('change', e => {
+        setCityGrouping(panel, flatList, e.target.checked);
+        applySort();
+        document.dispatchEvent(new CustomEvent('lists-regrouped'));
+      });
+    }
   });
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', initSorting);
+/**
+ * Filter groups shown next to the sort controls. Each reads one value per
+ * card; the URL parameter holds the selected value.
+ */
+const FILTER_GROUPS = [
+  { key: 'medium', label: 'Medium', all: 'All media', unknown: 'Unknown medium', value: cardMedium },
+  { key: 'century', label: 'Century', all: 'All centuries', unknown: 'Unknown date', value: cardCentury },
+  { key: 'artist', label: 'Artist', all: 'All artists', unknown: 'Unknown artist', value: card => card.dataset.artist || '' }
+];
+
+/**
+ * Ways to group a grid under headers: the filter groups plus biblical story
+ */
+const GROUPINGS = [
+  FILTER_GROUPS[1],
+  FILTER_GROUPS[2],
+  FILTER_GROUPS[0],
+  { key: 'story', label: 'Biblical story', unknown: 'No biblical story', value: card => card.dataset.story || '' }
+];
+
+/**
+ * Medium of a card without notes: "Oil on canvas (ceiling)" -> "Oil on canvas"
+ */
+function cardMedium(card) {
+  const medium = card.querySelector('.medium');
+  return medium ? medium.textContent.replace(/\([^)]*\)/g, '').trim() : '';
+}
+
+/**
+ * Century a card's date starts in, as a signed number (-1 is the 1st century BC)
+ */
+function cardCentury(card) {
+  const range = parseDate(card.dataset.date);
+  if (!range) return '';
+  const year = range.start;
+  return String(year > 0 ? Math.ceil(year / 100) : -Math.ceil(-year / 100));
+}
+
+/**
+ * Display label for a filter or grouping value
+ */
+function filterValueLabel(group, value) {
+  if (!value) return group.unknown;
+  if (group.key !== 'century') return value;
+
+  const n = Math.abs(parseInt(value, 10));
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th'
+    : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th';
+  return n + suffix + ' century' + (value < 0 ? ' BC' : '');
+}
+
+/**
+ * Order filter values: centuries chronologically, others alphabetically,
+ * unknown values last
+ */
+function compareFilterValues(group, a, b) {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  if (group.key === 'century') return parseInt(a, 10) - parseInt(b, 10);
+  return a.localeCompare(b);
+}
+
+/**
+ * Initialize filter controls for the artwork grid
+ */
+function initFilters() {
+  const grid = document.querySelector('.artwork-grid');
+  if (!grid) return;
+
+  const cards = Array.from(grid.querySelectorAll('.artwork-card'));
+  if (cards.length < 2) return;
+
+  // Only offer groups that actually split this page's cards
+  const cardValues = new Map(cards.map(card => [card, {}]));
+  const groups = FILTER_GROUPS.map(group => {
+    const values = new Set();
+    cards.forEach(card => {
+      const value = group.value(card);
+      cardValues.get(card)[group.key] = value;
+      values.add(value);
+    });
+    const sorted = Array.from(values).sort((a, b) => compareFilterValues(group, a, b));
+    return Object.assign({}, group, { values: sorted });
+  }).filter(group => group.values.length > 1);
+  if (groups.length === 0) return;
+
+  const params = new URLSearchParams(window.location.search);
+  const selected = {};
+  groups.forEach(group => {
+    const value = params.get(group.key);
+    selected[group.key] = value !== null && group.values.includes(value) ? value : null;
+  });
+
+  const bar = document.createElement('div');
+  bar.className = 'filter-controls';
+  bar.innerHTML = '<span>Filter:</span>' + groups.map(group =>
+    '<label class="filter-group">' +
+      '<span class="visually-hidden">' + group.label + '</span>' +
+      '<select class="filter-select" data-filter="' + group.key + '"></select>' +
+    '</label>'
+  ).join('') +
+    '<button class="filter-clear" type="button" hidden>Clear</button>' +
+    '<p class="filter-summary" role="status" aria-live="polite"></p>';
+
+  const empty = document.createElement('p');
+  empty.className = 'filter-empty';
+  empty.hidden = true;
+  empty.innerHTML = 'No artworks match these filters. <button class="filter-clear" type="button">Show all artworks</button>';
+
+  grid.parentNode.insertBefore(bar, grid);
+  grid.parentNode.insertBefore(empty, grid.nextSibling);
+
+  const summary = bar.querySelector('.filter-summary');
+
+  function matches(card, skipKey) {
+    const values = cardValues.get(card);
+    return groups.every(group =>
+      group.key === skipKey || selected[group.key] === null || values[group.key] === selected[group.key]
+    );
+  }
+
+  // Rebuild each select with counts given the other groups' selections
+  function renderOptions() {
+    groups.forEach(group => {
+      const select = bar.querySelector('[data-filter="' + group.key + '"]');
+      const counts = {};
+      let total = 0;
+      cards.forEach(card => {
+        if (!matches(card, group.key)) return;
+        const value = cardValues.get(card)[group.key];
+        counts[value] = (counts[value] || 0) + 1;
+        total++;
+      });
+
+      // Option values are indexes into group.values, which may include ''
+      select.innerHTML = '';
+      select.appendChild(new Option(group.all + ' (' + total + ')', ''));
+      group.values.forEach((value, index) => {
+        const count = counts[value] || 0;
+        const option = new Option(filterValueLabel(group, value) + ' (' + count + ')', String(index));
+        option.disabled = count === 0 && selected[group.key] !== value;
+        select.appendChild(option);
+      });
+      select.value = selected[group.key] === null ? '' : String(group.values.indexOf(selected[group.key]));
+    });
+  }
+
+  function apply() {
+    let visible = 0;
+    cards.forEach(card => {
+      const show = matches(card, null);
+      card.classList.toggle('filter-hidden', !show);
+      if (show) visible++;
+    });
+
+    const active = groups.some(group => selected[group.key] !== null);
+    renderOptions();
+    empty.hidden = visible > 0;
+    bar.querySelector('.filter-clear').hidden = !active;
+    summary.textContent = active ? 'Showing ' + visible + ' of ' + cards.length + ' artworks' : '';
+    updateGroupHeaders(grid);
+    refreshTimeline(grid);
+    updateFilterParams();
+  }
+
+  // Keep the URL in step so a filtered view can be bookmarked
+  function updateFilterParams() {
+    const url = new URL(window.location);
+    groups.forEach(group => {
+      if (selected[group.key] === null) {
+        url.searchParams.delete(group.key);
+      } else {
+        url.searchParams.set(group.key, selected[group.key]);
+      }
+    });
+    history.replaceState(history.state, '', url);
+  }
+
+  function clearFilters() {
+    groups.forEach(group => { selected[group.key] = null; });
+    apply();
+  }
+
+  bar.addEventListener('change', e => {
+    const select = e.target.closest('.filter-select');
+    if (!select) return;
+    const group = groups.find(g => g.key === select.dataset.filter);
+    selected[group.key] = select.value === '' ? null : group.values[parseInt(select.value, 10)];
+    apply();
+  });
+  bar.querySelector('.filter-clear').addEventListener('click', clearFilters);
+  empty.querySelector('.filter-clear').addEventListener('click', clearFilters);
+
+  apply();
+}
+
+/**
+ * Collapsed group values per grid, kept while the grouping stays the same
+ */
+const collapsedGroups = new WeakMap();
+
+/**
+ * Split a grid's cards under a header per value of a grouping key, keeping
+ * the cards' current (sorted) order within each group. An empty key removes
+ * the grouping.
+ */
+function groupArtworks(grid, groupBy) {
+  const grouping = GROUPINGS.find(g => g.key === groupBy);
+
+  grid.querySelectorAll('.artwork-group-header').forEach(header => header.remove());
+  if (grid.dataset.groupBy !== groupBy) collapsedGroups.set(grid, new Set());
+
+  const cards = Array.from(grid.querySelectorAll('.artwork-card'));
+  if (!grouping) {
+    delete grid.dataset.groupBy;
+    grid.classList.remove('artwork-grid--grouped');
+    cards.forEach(card => {
+      delete card.dataset.group;
+      card.classList.remove('group-collapsed');
+    });
+    return;
+  }
+
+  grid.dataset.groupBy = groupBy;
+  grid.classList.add('artwork-grid--grouped');
+
+  const byValue = new Map();
+  cards.forEach(card => {
+    const value = grouping.value(card);
+    if (!byValue.has(value)) byValue.set(value, []);
+    byValue.get(value).push(card);
+  });
+
+  const collapsed = collapsedGroups.get(grid);
+  const values = Array.from(byValue.keys()).sort((a, b) => compareFilterValues(grouping, a, b));
+
+  values.forEach(value => {
+    const header = document.createElement('h3');
+    header.className = 'artwork-group-header';
+    header.dataset.group = value;
+    header.innerHTML = '<button type="button" class="artwork-group-toggle" aria-expanded="true">' +
+      '<span class="artwork-group-title"></span> <span class="artwork-group-count"></span>' +
+      '</button>';
+    header.querySelector('.artwork-group-title').textContent = filterValueLabel(grouping, value);
+    header.querySelector('button').addEventListener('click', () => {
+      if (collapsed.has(value)) {
+        collapsed.delete(value);
+      } else {
+        collapsed.add(value);
+      }
+      updateGroupHeaders(grid);
+    });
+    grid.appendChild(header);
+
+    byValue.get(value).forEach(card => {
+      card.dataset.group = value;
+      grid.appendChild(card);
+    });
+  });
+
+  updateGroupHeaders(grid);
+}
+
+/**
+ * Refresh group header counts, collapsed state and visibility; a header
+ * whose cards are all filtered out is hidden
+ */
+function updateGroupHeaders(grid) {
+  const collapsed = collapsedGroups.get(grid) || new Set();
+
+  grid.querySelectorAll('.artwork-group-header').forEach(header => {
+    const value = header.dataset.group;
+    const cards = Array.from(grid.querySelectorAll('.artwork-card'))
+      .filter(card => card.dataset.group === value);
+    const visible = cards.filter(card => !card.classList.contains('filter-hidden')).length;
+    const isCollapsed = collapsed.has(value);
+
+    cards.forEach(card => card.classList.toggle('group-collapsed', isCollapsed));
+    header.hidden = visible === 0;
+    header.querySelector('.artwork-group-count').textContent = visible;
+    header.querySelector('button').setAttribute('aria-expanded', String(!isCollapsed));
+  });
+}
+
+/**
+ * Initialize the "Group by" control in the sort controls
+ */
+function initGrouping() {
+  const controls = document.querySelector('.sort-controls');
+  const grid = document.querySelector('.artwork-grid');
+  if (!controls || !grid) return;
+
+  const cards = Array.from(grid.querySelectorAll('.artwork-card'));
+
+  // Only offer groupings that split this page's cards
+  const groupings = GROUPINGS.filter(grouping =>
+    new Set(cards.map(card => grouping.value(card))).size > 1
+  );
+  if (groupings.length === 0) return;
+
+  const label = document.createElement('label');
+  label.className = 'group-by';
+  label.innerHTML = '<span>Group by:</span><select class="group-select"></select>';
+  const select = label.querySelector('select');
+  select.appendChild(new Option('None', ''));
+  groupings.forEach(grouping => select.appendChild(new Option(grouping.label, grouping.key)));
+  controls.appendChild(label);
+
+  select.addEventListener('change', () => {
+    groupArtworks(grid, select.value);
+    const url = new URL(window.location);
+    if (select.value) {
+      url.searchParams.set('group', select.value);
+    } else {
+      url.searchParams.delete('group');
+    }
+    history.replaceState(history.state, '', url);
+  });
+
+  const initial = new URLSearchParams(window.location.search).get('group');
+  if (groupings.some(grouping => grouping.key === initial)) {
+    select.value = initial;
+    groupArtworks(grid, initial);
+  }
+}
+
+/**
+ * Timeline layout: horizontal scale, lane height and minimum marker width (px)
+ */
+const TIMELINE_PX_PER_YEAR = 3;
+const TIMELINE_MIN_WIDTH = 720;
+const TIMELINE_ROW_HEIGHT = 22;
+const TIMELINE_MARKER_WIDTH = 10;
+const TIMELINE_GAP = 4;
+
+/**
+ * Timeline per artwork source (grid or index list): { element, items, visible }
+ */
+const timelines = new WeakMap();
+
+/**
+ * Artworks of a grid for the timeline, skipping filtered-out cards
+ */
+function gridTimelineItems(grid) {
+  return Array.from(grid.querySelectorAll('.artwork-card'))
+    .filter(card => !card.classList.contains('filter-hidden'))
+    .map(card => {
+      const link = card.querySelector('h3 a');
+      return {
+        title: card.dataset.title || (link ? link.textContent : ''),
+        url: link ? link.getAttribute('href') : '',
+        artist: card.dataset.artist || '',
+        date: card.dataset.date || ''
+      };
+    });
+}
+
+/**
+ * Artworks of the index Artworks list for the timeline, skipping items
+ * hidden by search
+ */
+function listTimelineItems(list) {
+  return Array.from(list.querySelectorAll('li'))
+    .filter(li => !li.classList.contains('search-hidden'))
+    .map(li => {
+      const link = li.querySelector('a');
+      const artist = li.querySelector('.artwork-artist');
+      const date = li.querySelector('.artwork-date');
+      return {
+        title: link ? link.textContent : '',
+        url: link ? link.getAttribute('href') : '',
+        artist: artist ? artist.textContent : '',
+        date: date ? date.textContent : ''
+      };
+    });
+}
+
+/**
+ * Draw artworks on a horizontal time axis with a tick per century.
+ * Ranges become spans, single years dots; approximate dates are softened.
+ * Overlapping markers are packed into lanes.
+ */
+function renderTimeline(element, items) {
+  const dated = [];
+  let undated = 0;
+  items.forEach(item => {
+    const range = parseDate(item.date);
+    if (range) {
+      dated.push(Object.assign({ range: range }, item));
+    } else {
+      undated++;
+    }
+  });
+
+  element.innerHTML = '';
+  const note = document.createElement('p');
+  note.className = 'artwork-timeline-note';
+
+  if (dated.length === 0) {
+    note.textContent = 'No artworks with a usable date to show.';
+    element.appendChild(note);
+    return;
+  }
+
+  const from = Math.floor(Math.min(...dated.map(item => item.range.start)) / 100) * 100;
+  const to = Math.max(from + 100, Math.ceil(Math.max(...dated.map(item => item.range.end)) / 100) * 100);
+  const pxPerYear = Math.max(TIMELINE_PX_PER_YEAR, TIMELINE_MIN_WIDTH / (to - from));
+  const x = year => (year - from) * pxPerYear;
+
+  const scroll = document.createElement('div');
+  scroll.className = 'artwork-timeline-scroll';
+  const track = document.createElement('div');
+  track.className = 'artwork-timeline-track';
+  track.style.width = Math.round(x(to)) + 'px';
+
+  // Century ticks, labelled with the century that starts there
+  for (let year = from; year < to; year += 100) {
+    const tick = document.createElement('div');
+    tick.className = 'artwork-timeline-tick';
+    tick.style.left = Math.round(x(year)) + 'px';
+    tick.textContent = filterValueLabel(FILTER_GROUPS[1], String(year >= 0 ? year / 100 + 1 : year / 100));
+    track.appendChild(tick);
+  }
+
+  // Greedy lane packing, earliest first
+  const laneEnds = [];
+  dated.sort((a, b) => a.range.start - b.range.start || a.range.end - b.range.end);
+  dated.forEach(item => {
+    const left = x(item.range.start);
+    const width = Math.max(TIMELINE_MARKER_WIDTH, x(item.range.end + 1) - left);
+    let lane = laneEnds.findIndex(end => end + TIMELINE_GAP <= left);
+    if (lane === -1) lane = laneEnds.push(0) - 1;
+    laneEnds[lane] = left + width;
+
+    const marker = document.createElement('a');
+    marker.className = 'artwork-timeline-item' +
+      (item.range.end > item.range.start ? ' artwork-timeline-item--range' : '') +
+      (item.range.approximate ? ' artwork-timeline-item--approximate' : '');
+    marker.href = item.url;
+    marker.style.left = Math.round(left) + 'px';
+    marker.style.width = Math.round(width) + 'px';
+    marker.style.top = lane * TIMELINE_ROW_HEIGHT + 'px';
+    marker.setAttribute('aria-label', [item.title, item.artist, item.date].filter(Boolean).join(', '));
+
+    const label = document.createElement('span');
+    label.className = 'artwork-timeline-label';
+    label.textContent = item.title + ' (' + item.date + ')';
+    marker.appendChild(label);
+    track.appendChild(marker);
+  });
+
+  track.style.height = laneEnds.length * TIMELINE_ROW_HEIGHT + 'px';
+  scroll.appendChild(track);
+  element.appendChild(scroll);
+
+  if (undated > 0) {
+    note.textContent = undated === 1
+      ? '1 artwork without a usable date is not shown.'
+      : undated + ' artworks without a usable date are not shown.';
+    element.appendChild(note);
+  }
+}
+
+/**
+ * Re-render a source's timeline if it is showing (after filtering)
+ */
+function refreshTimeline(source) {
+  const timeline = timelines.get(source);
+  if (timeline && timeline.visible) renderTimeline(timeline.element, timeline.items());
+}
+
+/**
+ * Add a Grid/Timeline toggle for an artwork source.
+ * content is what the timeline replaces; the view is kept in ?view=.
+ */
+function initTimelineView(source, content, controls, items) {
+  const element = document.createElement('div');
+  element.className = 'artwork-timeline';
+  element.hidden = true;
+  content.parentNode.insertBefore(element, content.nextSibling);
+
+  const toggle = document.createElement('div');
+  toggle.className = 'view-toggle';
+  toggle.setAttribute('role', 'group');
+  toggle.setAttribute('aria-label', 'View');
+  toggle.innerHTML =
+    '<button type="button" class="view-btn active" data-view="grid" aria-pressed="true">Grid</button>' +
+    '<button type="button" class="view-btn" data-view="timeline" aria-pressed="false">Timeline</button>';
+  controls.appendChild(toggle);
+
+  const timeline = { element: element, items: items, visible: false };
+  timelines.set(source, timeline);
+
+  function showView(view) {
+    timeline.visible = view === 'timeline';
+    toggle.querySelectorAll('.view-btn').forEach(btn => {
+      const active = btn.dataset.view === view;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+    content.hidden = timeline.visible;
+    element.hidden = !timeline.visible;
+    refreshTimeline(source);
+  }
+
+  toggle.addEventListener('click', e => {
+    const btn = e.target.closest('.view-btn');
+    if (!btn) return;
+    showView(btn.dataset.view);
+    const url = new URL(window.location);
+    if (btn.dataset.view === 'timeline') {
+      url.searchParams.set('view', 'timeline');
+    } else {
+      url.searchParams.delete('view');
+    }
+    history.replaceState(history.state, '', url);
+  });
+
+  if (new URLSearchParams(window.location.search).get('view') === 'timeline') {
+    showView('timeline');
+  }
+}
+
+/**
+ * Initialize timeline views for the artwork grid and the index Artworks tab
+ */
+function initTimelines() {
+  const controls = document.querySelector('.sort-controls');
+  const grid = document.querySelector('.artwork-grid');
+  if (controls && grid) {
+    initTimelineView(grid, grid, controls, () => gridTimelineItems(grid));
+  }
+
+  const list = document.querySelector('.artworks-list');
+  if (list) {
+    // Sit next to the list's sort controls (see initListSorting)
+    let listControls = list.previousElementSibling;
+    if (!listControls || !listControls.classList.contains('sort-controls')) {
+      listControls = document.createElement('div');
+      listControls.className = 'sort-controls';
+      list.parentNode.insertBefore(listControls, list);
+    }
+    initTimelineView(list, list, listControls, () => listTimelineItems(list));
+
+    // Follow the index search as it hides and shows list items
+    document.addEventListener('search-filtered', () => refreshTimeline(list));
+  }
+}
+
+// Initialize when DOM is ready (the search worker also loads this file for
+// parseDate, and has no document)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', initSorting);
+  document.addEventListener('DOMContentLoaded', initFilters);
+  document.addEventListener('DOMContentLoaded', initGrouping);
+  document.addEventListener('DOMContentLoaded', initListSorting);
+  document.addEventListener('DOMContentLoaded', initTimelines);
+}
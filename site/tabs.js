@@ -1,65 +1,276 @@
 /**
  * Tab navigation for index page
- * Supports URL parameter ?tab=<tabname> to remember/share active tab
+ * Supports URL parameter ?tab=<tabname> to remember/share active tab.
+ * Each tab change is a history entry, so Back/Forward move between tabs
+ * and restore the scroll position each tab was left at. A URL hash such
+ * as #tondo opens whichever tab contains that element.
+ *
+ * Tab changes dispatch `tab-shown` and `tab-hidden` on document with
+ * { tab } in detail. Modules that only need to set up when their tab is
+ * first opened register with Tabs.registerLazyInit() instead of listening.
  */
+window.Tabs = (() => {
+  const initializers = [];
+  let shownTab = null;
+
+  function runInit(entry) {
+    entry.done = true;
+    entry.init(entry.tab);
+  }
+
+  /**
+   * Run init(tabName) once, the first time the tab is shown (straight away
+   * if it is already showing). If teardown is given it runs when the tab is
+   * hidden, and init runs again the next time the tab is shown.
+   */
+  function registerLazyInit(tabName, init, teardown) {
+    const entry = { tab: tabName, init: init, teardown: teardown, done: false };
+    initializers.push(entry);
+    if (shownTab === tabName) runInit(entry);
+  }
+
+  document.addEventListener('tab-shown', e => {
+    shownTab = e.detail.tab;
+    initializers.forEach(entry => {
+      if (entry.tab === shownTab && !entry.done) runInit(entry);
+    });
+  });
+
+  document.addEventListener('tab-hidden', e => {
+    if (shownTab === e.detail.tab) shownTab = null;
+    initializers.forEach(entry => {
+      if (entry.tab === e.detail.tab && entry.done && entry.teardown) {
+        entry.done = false;
+        entry.teardown(entry.tab);
+      }
+    });
+  });
+
+  return {
+    registerLazyInit: registerLazyInit,
+    getShownTab: () => shownTab
+  };
+})();
+
 document.addEventListener('DOMContentLoaded', () => {
-  const tabBtns = document.querySelectorAll('.tab-btn');
+  const tabList = document.querySelector('.tab-navigation');
+  const tabBtns = Array.from(document.querySelectorAll('.tab-btn'));
   const tabPanels = document.querySelectorAll('.tab-panel');
 
   // Only initialize if we have tabs
   if (tabBtns.length === 0) return;
 
+  // How long a deep-linked element stays highlighted (matches styles.css)
+  const HIGHLIGHT_DURATION = 2000;
+  // Quiet period after scrolling before the position is saved to history
+  const SCROLL_SAVE_DELAY = 150;
+
+  // Tab shown when the URL has no ?tab= parameter
+  const defaultBtn = tabBtns.find(btn => btn.classList.contains('active')) || tabBtns[0];
+  const defaultTab = defaultBtn.dataset.tab;
+
+  // Scroll positions are restored by hand once the right panel is visible
+  if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual';
+  }
+
+  // ARIA tablist wiring: tabs and panels reference each other by id
+  if (tabList) tabList.setAttribute('role', 'tablist');
+  tabBtns.forEach(btn => {
+    const panel = document.querySelector(`.tab-panel[data-tab="${btn.dataset.tab}"]`);
+    btn.id = btn.id || `tab-${btn.dataset.tab}`;
+    btn.setAttribute('role', 'tab');
+    if (panel) {
+      panel.id = panel.id || `panel-${btn.dataset.tab}`;
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', btn.id);
+      btn.setAttribute('aria-controls', panel.id);
+    }
+  });
+
+  function getActiveTab() {
+    const btn = tabBtns.find(b => b.classList.contains('active'));
+    return btn ? btn.dataset.tab : defaultTab;
+  }
+
   function activateTab(tabName) {
     const btn = document.querySelector(`.tab-btn[data-tab="${tabName}"]`);
     const panel = document.querySelector(`.tab-panel[data-tab="${tabName}"]`);
 
     if (!btn || !panel) return false;
 
+    const previousTab = window.Tabs.getShownTab();
+    if (previousTab === tabName) return true;
+
     // Remove active from all
-    tabBtns.forEach(b => b.classList.remove('active'));
+    tabBtns.forEach(b => {
+      b.classList.remove('active');
+      b.setAttribute('aria-selected', 'false');
+      b.setAttribute('tabindex', '-1');
+    });
     tabPanels.forEach(p => p.classList.remove('active'));
 
     // Add active to target
     btn.classList.add('active');
+    btn.setAttribute('aria-selected', 'true');
+    btn.setAttribute('tabindex', '0');
     panel.classList.add('active');
 
-    // Dispatch event for map tab to enable lazy initialization
-    if (tabName === 'map') {
-      document.dispatchEvent(new CustomEvent('map-tab-shown'));
-    }
-
-    // Dispatch event for trip tab to enable lazy initialization
-    if (tabName === 'trip') {
-      document.dispatchEvent(new CustomEvent('trip-tab-shown'));
+    if (previousTab) {
+      document.dispatchEvent(new CustomEvent('tab-hidden', { detail: { tab: previousTab } }));
     }
+    document.dispatchEvent(new CustomEvent('tab-shown', { detail: { tab: tabName } }));
 
     return true;
   }
 
-  function updateUrlParam(tabName) {
+  /**
+   * Record the active tab and scroll offset on the current history entry,
+   * keeping whatever other state the entry already holds
+   */
+  function saveTabState() {
+    const state = Object.assign({}, history.state, { tab: getActiveTab(), scrollY: window.scrollY });
+    history.replaceState(state, '');
+  }
+
+  /**
+   * URL of the current page showing a tab (the hash belongs to the old one)
+   */
+  function tabUrl(tabName) {
     const url = new URL(window.location);
     url.searchParams.set('tab', tabName);
-    history.replaceState(null, '', url);
+    url.hash = '';
+    return url;
+  }
+
+  /**
+   * Add a history entry for a tab the user switched to
+   */
+  function pushTabState(tabName) {
+    history.pushState({ tab: tabName, scrollY: window.scrollY }, '', tabUrl(tabName));
+  }
+
+  /**
+   * Switch tabs in response to the user, as a new history entry
+   */
+  function selectTab(tabName) {
+    if (tabName === getActiveTab()) return;
+    saveTabState();
+    if (activateTab(tabName)) pushTabState(tabName);
+  }
+
+  /**
+   * Switch tabs from the keyboard. Arrowing through the tablist replaces the
+   * current history entry, so Back doesn't step through every keypress.
+   */
+  function moveToTab(tabName) {
+    if (tabName === getActiveTab() || !activateTab(tabName)) return;
+    history.replaceState(Object.assign({}, history.state, { tab: tabName, scrollY: window.scrollY }), '', tabUrl(tabName));
+  }
+
+  /**
+   * Show the element named by the URL hash: activate the tab panel that
+   * contains it, scroll it into view and flash a highlight on it.
+   * The entry's ?tab= is corrected to match. Returns false if there is
+   * no such element.
+   */
+  function revealHashTarget() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const target = id && document.getElementById(id);
+    if (!target) return false;
+
+    const panel = target.closest('.tab-panel');
+    if (panel && activateTab(panel.dataset.tab)) {
+      const url = new URL(window.location);
+      url.searchParams.set('tab', panel.dataset.tab);
+      history.replaceState(history.state, '', url);
+    }
+
+    target.scrollIntoView();
+    target.classList.remove('hash-target');
+    // Restart the highlight animation if the same target is revealed again
+    void target.offsetWidth;
+    target.classList.add('hash-target');
+    setTimeout(() => target.classList.remove('hash-target'), HIGHLIGHT_DURATION);
+    return true;
   }
 
-  // Check URL parameter on load
+  // Check URL parameter on load; an unknown tab falls back to the default
+  // and is dropped from the URL
   const urlParams = new URLSearchParams(window.location.search);
   const tabParam = urlParams.get('tab');
-  if (tabParam) {
-    activateTab(tabParam);
-    // Scroll to hash fragment after tab is visible
-    if (window.location.hash) {
-      const target = document.getElementById(window.location.hash.slice(1));
-      if (target) target.scrollIntoView();
+  if (!tabParam || !activateTab(tabParam)) {
+    activateTab(defaultTab);
+    if (tabParam) {
+      urlParams.delete('tab');
+      const url = new URL(window.location);
+      url.search = urlParams;
+      history.replaceState(history.state, '', url);
     }
   }
 
+  // Returning to a page (reload, or Back from another page) restores its scroll;
+  // otherwise a hash opens the tab holding its target
+  if (history.state && typeof history.state.scrollY === 'number') {
+    window.scrollTo(0, history.state.scrollY);
+  } else if (window.location.hash) {
+    revealHashTarget();
+  }
+  saveTabState();
+
+  // Back/Forward: show the entry's tab and put its scroll position back
+  window.addEventListener('popstate', e => {
+    const state = e.state || {};
+    if (!state.tab && revealHashTarget()) {
+      saveTabState();
+      return;
+    }
+    const tabName = state.tab || new URLSearchParams(window.location.search).get('tab') || defaultTab;
+    if (!activateTab(tabName)) activateTab(defaultTab);
+    if (typeof state.scrollY === 'number') {
+      window.scrollTo(0, state.scrollY);
+    }
+  });
+
+  // In-page links such as <a href="#tondo"> between terms or from other tabs.
+  // Entries that already have a saved position were handled by popstate.
+  window.addEventListener('hashchange', () => {
+    if (history.state && typeof history.state.scrollY === 'number') return;
+    if (revealHashTarget()) saveTabState();
+  });
+
+  // Keep the current entry's scroll position up to date so Back returns to it
+  let scrollTimer = null;
+  window.addEventListener('scroll', () => {
+    clearTimeout(scrollTimer);
+    scrollTimer = setTimeout(saveTabState, SCROLL_SAVE_DELAY);
+  }, { passive: true });
+
+  // Keep the position of the page being left for reload and Back
+  window.addEventListener('pagehide', saveTabState);
+
   // Handle tab clicks
   tabBtns.forEach(btn => {
     btn.addEventListener('click', () => {
-      const tabName = btn.dataset.tab;
-      activateTab(tabName);
-      updateUrlParam(tabName);
+      selectTab(btn.dataset.tab);
+    });
+  });
+
+  // Arrow keys, Home and End move between tabs (activation follows focus,
+  // without adding history entries)
+  tabBtns.forEach((btn, index) => {
+    btn.addEventListener('keydown', e => {
+      let next;
+      switch (e.key) {
+        case 'ArrowRight': next = (index + 1) % tabBtns.length; break;
+        case 'ArrowLeft': next = (index - 1 + tabBtns.length) % tabBtns.length; break;
+        case 'Home': next = 0; break;
+        case 'End': next = tabBtns.length - 1; break;
+        default: return;
+      }
+      e.preventDefault();
+      tabBtns[next].focus();
+      moveToTab(tabBtns[next].dataset.tab);
     });
   });
 });
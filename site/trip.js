@@ -1,6 +1,9 @@
 /**
  * Trip Planner - Interactive itinerary with maps and route visualization
  * Reads data from Google Sheets at runtime
+ *
+ * TripPlanner.getDays() and TripPlanner.addStop() let other tabs (the map
+ * popups) add stops to the cached itinerary.
  */
 (function() {
   'use strict';
@@ -13,6 +16,8 @@
   let tripData = null;
   let dayMaps = {};
   let dayMarkers = {};
+  // Set when the itinerary changed while the trip tab was hidden
+  let renderPending = false;
 
   /**
    * Get the saved sheet URL, or null if not set.
@@ -234,14 +239,20 @@
   }
 
   /**
-   * Save parsed data to localStorage cache
+   * Save parsed data to localStorage cache. Local edits pass keepTimestamp
+   * so the "last synced" time still reflects the sheet. Returns false if
+   * the cache could not be written.
    */
-  function saveCachedData(data) {
+  function saveCachedData(data, keepTimestamp) {
     try {
       localStorage.setItem(CACHE_KEY, JSON.stringify(data));
-      localStorage.setItem(CACHE_TS_KEY, new Date().toISOString());
+      if (!keepTimestamp) {
+        localStorage.setItem(CACHE_TS_KEY, new Date().toISOString());
+      }
+      return true;
     } catch (e) {
       console.warn('Could not cache trip data:', e);
+      return false;
     }
   }
 
@@ -883,19 +894,79 @@
     }
   }
 
-  // Initialize when trip tab is shown
-  document.addEventListener('trip-tab-shown', init);
+  /**
+   * Days of the cached itinerary, for choosing where a stop goes:
+   * [{ id, label, pages }] where pages lists the location page names
+   * already on that day.
+   */
+  function getDays() {
+    const data = tripData || loadCachedData();
+    if (!data) return [];
+    return data.days.map(day => ({
+      id: day.id,
+      label: day.label,
+      pages: day.locations
+        .map(entry => entry.pageLinkName.replace(/\.html$/, ''))
+        .filter(Boolean)
+    }));
+  }
 
-  // Also check if trip tab is already active on page load
-  document.addEventListener('DOMContentLoaded', () => {
-    const tripPanel = document.querySelector('.tab-panel[data-tab="trip"]');
-    if (tripPanel && tripPanel.classList.contains('active')) {
-      init();
+  /**
+   * Append a stop to a day of the cached itinerary (used by the map popups).
+   * The stop takes the same shape as a sheet row; missing fields are blank.
+   * Stops added here stay until the next Refresh from the sheet.
+   * Returns false if there is no itinerary, no such day, or the cache
+   * could not be written (the itinerary is then left as it was).
+   */
+  function addStop(dayId, fields) {
+    const data = tripData || loadCachedData();
+    const day = data && data.days.find(d => d.id === dayId);
+    if (!day) return false;
+
+    const stop = Object.assign({
+      chineseName: '',
+      englishName: '',
+      time: '',
+      memo: '',
+      mapLink: '',
+      ticketMemo: '',
+      ticketLink: '',
+      lat: null,
+      lng: null,
+      pageLinkName: ''
+    }, fields);
+
+    // Keep the itinerary unchanged if it can't be stored, so it matches the cache
+    day.locations.push(stop);
+    if (!saveCachedData(data, true)) {
+      day.locations.pop();
+      return false;
     }
 
-    const urlParams = new URLSearchParams(window.location.search);
-    if (urlParams.get('tab') === 'trip') {
-      init();
+    if (data === tripData) {
+      if (window.Tabs.getShownTab() === 'trip') {
+        render();
+      } else {
+        renderPending = true;
+      }
+    }
+    return true;
+  }
+
+  window.TripPlanner = {
+    getDays: getDays,
+    addStop: addStop
+  };
+
+  // Initialize the first time the trip tab is shown (including ?tab=trip)
+  window.Tabs.registerLazyInit('trip', init);
+
+  // Day maps need a visible container, so stops added from another tab are
+  // drawn when the trip tab is next shown
+  document.addEventListener('tab-shown', (e) => {
+    if (e.detail.tab === 'trip' && renderPending) {
+      renderPending = false;
+      render();
     }
   });
 })();